@@ -1,365 +1,694 @@
 import React, { useMemo, useState } from "react";
+import {
+  GOVERNS_LABELS, OBJECTIVE_LABELS, bomToCsv, buildReport, calcProjectBom, defaultBomSettings, defaultChannelCheck, defaultInputs, defaultOptimizer, defaultProduct, describeLimits, effectiveCapacity, evaluate, findProduct,
+  formatQty, formatRunLength, formatSpacing, fromUnits, issueMessage, issuesByPath, pickInputs, spacingPresets, summarizeProject, toUnits, unitLabel, DEFAULT_UNITS, SELF_TEST_CASES
+} from "./engine/index.js";
+import { Explain, IssueText, Pill, NumberField, Toggle, issueAt, money, round2 } from "./components/controls.jsx";
+import ProductPanel from "./components/ProductPanel.jsx";
+import ChannelPanel from "./components/ChannelPanel.jsx";
+import LayerEditor from "./components/LayerEditor.jsx";
+import PointLoadEditor from "./components/PointLoadEditor.jsx";
+import BomPanel from "./components/BomPanel.jsx";
+import PlanView from "./components/PlanView.jsx";
+import RegionEditor from "./components/RegionEditor.jsx";
+import ScenarioPanel from "./components/ScenarioPanel.jsx";
+import SpacingChips from "./components/SpacingChips.jsx";
+import OptimizerPanel from "./components/OptimizerPanel.jsx";
+import Assumptions from "./components/Assumptions.jsx";
+import ReportView from "./components/ReportView.jsx";
+import { defaultReport, parseJob, jobToJson, serializeJob, encodeJobHash, decodeJobHash, saveAutosave, loadAutosave, unsavedReasons } from "./job.js";
+import { fullCatalog, loadCustomProducts, saveCustomProducts, mergeImportedProduct } from "./catalog.js";
 
 // GenieClip RST Load Calculator (pure React / JS)
 // - Computes recommended furring-channel spacing (OC) and clip spacing (OC)
-// - Treats clouds either as distributed average psf or as dedicated clips (4/each)
-// - Clip capacity fixed at 36 lb per GenieClip RST
+// - Assembly is an ordered layer stack from a material library (or hand-entered layers)
+// - Treats clouds and other point loads either as distributed average psf or as dedicated clips (per item)
+// - Clip capacity comes from the job's product (GenieClip RST, 36 lb, by default) times its derate
+// - Each combo must also pass the furring channel span check (bending and L/360 or L/240 deflection)
+// - A project holds one or more named ceiling zones; each zone is evaluated on its own
 // - No TypeScript; ASCII-only strings to avoid parser quirks
+// - All math lives in ./engine (pure JS, shared with tests and other tools)
+// - Rectangular zones get a real channel/clip grid (edge offsets, direction) and a plan-view SVG
+// - Bill of materials and material cost roll up from every zone's recommendation (CSV export)
+// - Jobs save/load as versioned JSON (./job.js), share via URL hash, and autosave to localStorage
+// - A printable report view lays out every input, derivation and combo for clients and inspectors
+// - Imperial or metric display: inputs and results convert at the UI boundary; the engine stays imperial
+// - Inputs are validated per field (engine/validate.js): errors and warnings show inline, and a zone with errors gets no result
+// - Explain mode: results expand into their step-by-step derivation, values substituted (engine/explain.js)
+// - Embeddable: widget.jsx mounts it on a host page with the embed prop (see embed.js); embedded, it never touches the page's hash or storage
 
 // -----------------------------
-// Pure calculation helpers
+// Project / zone state
 // -----------------------------
-function calcBaseAssemblyPsf(opts) {
-  const osb = opts.includeOSB ? opts.osbPsf : 0;
-  const gyp = opts.drywallLayers * opts.drywallPsf;
-  return osb + gyp + opts.insulPsf; // excludes misc; handled separately as distributed psf
+let zoneSeq = 0;
+
+function nextZoneId() {
+  zoneSeq++;
+  return "zone-" + zoneSeq;
 }
 
-function calcCloudAvgPsf(mountMode, areaFt2, totalCloudWeightLb) {
-  if (mountMode === "distributed" && areaFt2 > 0) return totalCloudWeightLb / areaFt2;
-  return 0;
+// New zones in a metric job start from the metric spacing menus (300/400/600 mm, ...)
+function makeZone(name, units) {
+  const id = nextZoneId();
+  const presets = spacingPresets(units);
+  const mm = (v) => fromUnits("in", v, "metric");
+  return {
+    id,
+    name: name || ("Zone " + zoneSeq),
+    ...defaultInputs(),
+    scenarios: [],
+    ...(units === "metric" ? {
+      allowedChannelSpacings: presets.channel,
+      allowedClipSpacings: presets.clip,
+      optimizer: { ...defaultOptimizer(), minChannelIn: mm(300), maxChannelIn: mm(600), channelStepIn: mm(10), maxClipIn: mm(1200) }
+    } : {})
+  };
 }
 
-function calcCombos(params) {
-  const { gridPsf, allowedChannelSpacings, allowedClipSpacings, constrainToStructure, structureSpacing, clipCap } = params;
-  const channels = Array.from(new Set(allowedChannelSpacings)).sort((a, b) => a - b);
-  const clips = constrainToStructure ? [structureSpacing] : Array.from(new Set(allowedClipSpacings)).sort((a, b) => a - b);
-  const out = [];
-  for (let i = 0; i < channels.length; i++) {
-    const ch = channels[i];
-    for (let j = 0; j < clips.length; j++) {
-      const cl = clips[j];
-      const tribAreaFt2 = (ch * cl) / 144.0; // in^2 -> ft^2
-      const loadPerClip = tribAreaFt2 * gridPsf;
-      const pass = isFinite(loadPerClip) && loadPerClip <= clipCap;
-      const safety = isFinite(loadPerClip) && loadPerClip > 0 ? (clipCap / loadPerClip) : Infinity;
-      out.push({ channelOC: ch, clipOC: cl, tribAreaFt2, loadPerClip, pass, safety });
-    }
+function cloneZone(zone) {
+  const copy = makeZone(zone.name + " (copy)");
+  return {
+    ...zone,
+    id: copy.id,
+    name: copy.name,
+    layers: zone.layers.map(l => ({ ...l })),
+    pointLoads: zone.pointLoads.map(it => ({ ...it })),
+    regions: zone.regions.map(rg => ({ ...rg })),
+    allowedChannelSpacings: zone.allowedChannelSpacings.slice(),
+    allowedClipSpacings: zone.allowedClipSpacings.slice(),
+    optimizer: { ...zone.optimizer },
+    scenarios: zone.scenarios.map(sc => ({ name: sc.name, inputs: pickInputs(sc.inputs) }))
+  };
+}
+
+function newJob(units) {
+  const u = units || DEFAULT_UNITS;
+  return { name: "", units: u, product: defaultProduct(), channel: defaultChannelCheck(), bom: defaultBomSettings(), report: defaultReport(), zones: [makeZone("Main room", u)] };
+}
+
+// Loaded zones get fresh ids; ids are UI-only and never saved
+function withZoneIds(zones) {
+  return zones.map(z => ({ ...z, id: nextZoneId() }));
+}
+
+// localStorage can throw in sandboxed iframes (some LMS hosts); treat that as "no storage"
+function browserStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
   }
-  out.sort((a, b) => (b.channelOC * b.clipOC) - (a.channelOC * a.clipOC));
-  return out;
 }
 
-function firstPassing(combos) {
-  for (let k = 0; k < combos.length; k++) if (combos[k].pass) return combos[k];
-  return null;
+// Startup job: a shared link in the URL hash wins over the autosave; otherwise a fresh one-zone job.
+// Embedded, the host's options decide (parseEmbedOptions: a given job, or a fresh one with the default product).
+function initialJob(embed) {
+  if (embed) {
+    const job = embed.job || { ...newJob(embed.units), ...(embed.product ? { product: embed.product } : {}) };
+    return { job, notice: null, customProducts: [] };
+  }
+  if (typeof window === "undefined") return { job: newJob(), notice: null, customProducts: [] };
+  let shared = null;
+  let notice = null;
+  try {
+    shared = decodeJobHash(window.location.hash);
+    if (shared) notice = { tone: "success", text: "Opened shared job from link." };
+  } catch (err) {
+    notice = { tone: "danger", text: err.message, details: err.errors };
+  }
+  if (shared || notice) {
+    // Drop the hash so a reload picks up the autosave (including later edits) instead of the original link
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+  return { job: shared || loadAutosave(browserStorage()) || newJob(), notice, customProducts: loadCustomProducts(browserStorage()) };
 }
 
-function round2(x) { return Math.round(x * 100) / 100; }
+function fileSlug(name) {
+  const slug = (name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug || "genieclip-job";
+}
+
+function downloadText(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
 // -----------------------------
-// Small presentational components (top-level so they don't remount on each render)
+// Component
 // -----------------------------
-const Pill = ({ children, tone }) => {
-  const styles = {
-    success: "bg-green-100 text-green-700",
-    danger: "bg-rose-100 text-rose-700",
-    neutral: "bg-gray-100 text-gray-800"
+// embed: parseEmbedOptions() result when mounted as a widget (panels, theme, onChange/onResult); null standalone
+const App = ({ embed }) => {
+  const [boot] = useState(() => initialJob(embed));
+  const [jobName, setJobName] = useState(boot.job.name);
+  const [units, setUnits] = useState(boot.job.units);
+  const [bootProduct] = useState(() => mergeImportedProduct(boot.customProducts, boot.job.product));
+  const [customProducts, setCustomProducts] = useState(bootProduct.customProducts);
+  const [productId, setProductId] = useState(bootProduct.productId);
+  const [channel, setChannel] = useState(boot.job.channel);
+  const [bomSettings, setBomSettings] = useState(boot.job.bom);
+  const [report, setReport] = useState(boot.job.report);
+  const [view, setView] = useState("calculator"); // "calculator" | "report"
+  const [zones, setZones] = useState(() => withZoneIds(boot.job.zones));
+  const [activeZoneId, setActiveZoneId] = useState(() => zones[0].id);
+  const [notice, setNotice] = useState(boot.notice); // { tone, text, details?, link? }
+  const fileInputRef = React.useRef(null);
+
+  const catalog = useMemo(() => fullCatalog(customProducts), [customProducts]);
+  const product = findProduct(catalog, productId) || defaultProduct();
+  const clipCap = effectiveCapacity(product);
+
+  const job = useMemo(() => ({ name: jobName, units, product, channel, bom: bomSettings, report, zones }), [jobName, units, product, channel, bomSettings, report, zones]);
+
+  const loadJob = (loaded) => {
+    const loadedZones = withZoneIds(loaded.zones);
+    const merged = mergeImportedProduct(customProducts, loaded.product);
+    setJobName(loaded.name);
+    setUnits(loaded.units);
+    setChannel(loaded.channel);
+    setBomSettings(loaded.bom);
+    setReport(loaded.report);
+    setCustomProducts(merged.customProducts);
+    setProductId(merged.productId);
+    setZones(loadedZones);
+    setActiveZoneId(loadedZones[0].id);
   };
-  const cls = styles[tone || "neutral"];
-  return <span className={"inline-block rounded-full px-2 py-1 text-xs " + cls}>{children}</span>;
-};
 
-// Number input that preserves focus while typing and allows transient empty state
-const NumberField = ({ label, value, setValue, min, step, suffix, title }) => {
-  // Use a text input with our own parsing to avoid browser quirks in some hosts (e.g., Canvas/Kajabi).
-  const [draft, setDraft] = React.useState(String(value));
+  // Autosave every change so a closed tab doesn't lose a half-entered job
+  // (skipped while an input is empty or out of range: the last loadable autosave is kept)
+  const autosaveBlocked = useMemo(() => unsavedReasons(job).length > 0, [job]);
+  React.useEffect(() => { if (!embed) saveAutosave(browserStorage(), job); }, [job]);
+  React.useEffect(() => { if (!embed) saveCustomProducts(browserStorage(), customProducts); }, [customProducts]);
 
+  // Pasting a shared link into an already-open tab only changes the hash
   React.useEffect(() => {
-    const v = Number.isFinite(value) ? String(value) : "";
-    if (v !== draft) setDraft(v);
-  }, [value]);
-
-  const parseNumber = (txt) => {
-    // Allow blanks while typing; commit only on blur/Enter
-    if (txt === "" || txt === "-" || txt === ".") return null;
-    // Remove commas and plain spaces; accept simple decimals
-    const cleaned = txt.replace(/,/g, "").replace(/ /g, "");
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : null;
+    if (embed) return undefined;
+    const onHashChange = () => {
+      try {
+        const shared = decodeJobHash(window.location.hash);
+        if (!shared) return;
+        loadJob(shared);
+        setNotice({ tone: "success", text: "Opened shared job from link." });
+      } catch (err) {
+        setNotice({ tone: "danger", text: err.message, details: err.errors });
+      }
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [customProducts]); // loadJob merges into the current catalog
+
+  const startNewJob = () => {
+    if (!window.confirm("Start a new job? The current inputs will be cleared (save them first if needed).")) return;
+    loadJob(newJob());
+    setNotice(null);
   };
-
-  const commit = (txt) => {
-    const n = parseNumber(txt);
-    if (n === null) return; // ignore invalid transients
-    const clamped = typeof min === "number" ? Math.max(n, min) : n;
-    setValue(clamped);
+  // A job with an input left empty or out of range would not open again; say which ones instead
+  const refuseUnsaved = () => {
+    const reasons = unsavedReasons(job);
+    if (reasons.length) setNotice({ tone: "danger", text: "Fix the inputs marked in red first; this job would not open again.", details: reasons });
+    return reasons.length > 0;
+  };
+  const saveJobFile = () => {
+    if (refuseUnsaved()) return;
+    downloadText(fileSlug(jobName) + ".json", jobToJson(job), "application/json");
+  };
+  const openJobFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow re-opening the same file after fixing it
+    if (!file) return;
+    try {
+      loadJob(parseJob(await file.text()));
+      setNotice({ tone: "success", text: "Opened " + file.name + "." });
+    } catch (err) {
+      setNotice({ tone: "danger", text: file.name + ": " + err.message.split("\n")[0], details: err.errors });
+    }
+  };
+  const copyShareLink = () => {
+    if (refuseUnsaved()) return;
+    const link = window.location.href.split("#")[0] + encodeJobHash(job);
+    const shown = { tone: "neutral", text: "Share link:", link };
+    if (!navigator.clipboard) {
+      setNotice(shown);
+      return;
+    }
+    navigator.clipboard.writeText(link).then(
+      () => setNotice({ tone: "success", text: "Share link copied to clipboard.", link }),
+      () => setNotice(shown)
+    );
   };
 
-  return (
-    <label className="flex items-center gap-2 text-sm">
-      <span className="w-48 text-gray-600" title={title || ""}>{label}</span>
-      <input
-        type="text"
-        className="w-36 rounded-lg border p-2"
-        value={draft}
-        onChange={(e) => setDraft(e.target.value)}
-        onBlur={(e) => commit(e.target.value)}
-        onKeyDown={(e) => { if (e.key === "Enter") commit(draft); }}
-        inputMode="decimal"
-        placeholder="0"
-      />
-      {suffix ? <span className="text-gray-500">{suffix}</span> : null}
-    </label>
-  );
-};
+  const zone = zones.find(z => z.id === activeZoneId) || zones[0];
+  const updateZone = (patch) => setZones(prev => prev.map(z => (z.id === zone.id ? { ...z, ...(typeof patch === "function" ? patch(z) : patch) } : z)));
+  const bind = (key) => (v) => updateZone({ [key]: v });
+
+  const addZone = () => {
+    const z = makeZone("", units);
+    setZones(prev => prev.concat([z]));
+    setActiveZoneId(z.id);
+  };
+  const duplicateZone = () => {
+    const z = cloneZone(zone);
+    setZones(prev => prev.concat([z]));
+    setActiveZoneId(z.id);
+  };
+  const removeZone = () => {
+    if (zones.length <= 1) return;
+    const rest = zones.filter(z => z.id !== zone.id);
+    setZones(rest);
+    setActiveZoneId(rest[0].id);
+  };
 
-const Toggle = ({ label, checked, onChange }) => (
-  <label className="flex items-center gap-3 text-sm select-none">
-    <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
-    <span className="text-gray-700">{label}</span>
-  </label>
-);
+  // bom settings price the optimizer's "lowest cost" objective
+  const zoneResults = useMemo(() => zones.map(z => evaluate({ ...z, clipCap, channelCheck: channel, bom: bomSettings })), [zones, clipCap, channel, bomSettings]);
+  const scenarioSettings = useMemo(() => ({ clipCap, channelCheck: channel, bom: bomSettings }), [clipCap, channel, bomSettings]);
+  const summary = useMemo(() => summarizeProject(zoneResults), [zoneResults]);
+  const bom = useMemo(() => calcProjectBom(zones, zoneResults, bomSettings, units), [zones, zoneResults, bomSettings, units]);
+  const exportBomCsv = () => downloadText(fileSlug(jobName) + "-bom.csv", bomToCsv(bom), "text/csv");
 
-// -----------------------------
-// Component
-// -----------------------------
-const App = () => {
-  // Assembly
-  const [area, setArea] = useState(400); // ft^2
-  const [includeOSB, setIncludeOSB] = useState(true);
-  const [osbPsf, setOsbPsf] = useState(2.7);
-  const [drywallLayers, setDrywallLayers] = useState(2); // 0..3
-  const [drywallPsf, setDrywallPsf] = useState(2.5);
-  const [insulPsf, setInsulPsf] = useState(0.2);
-  const [miscPsf, setMiscPsf] = useState(0); // NEW: miscellaneous distributed psf (lights, speakers, etc.)
-
-  // Clouds
-  const [mountMode, setMountMode] = useState("distributed"); // distributed | dedicated
-  const [c4x1, setC4x1] = useState(0); // 15 lb
-  const [c4x2, setC4x2] = useState(0); // 30 lb
-  const [c4x3, setC4x3] = useState(0); // 45 lb
-  const [c4x4, setC4x4] = useState(0); // 60 lb
-
-  // Spacing constraints
-  const [allowedChannelSpacings, setAllowedChannelSpacings] = useState([12, 16, 24]);
-  const [allowedClipSpacings, setAllowedClipSpacings] = useState([24, 32, 36, 48]);
-  const [constrainToStructure, setConstrainToStructure] = useState(false);
-  const [structureSpacing, setStructureSpacing] = useState(48);
-
-  const CLIP_CAP = 36;
-
-  const totalCloudWeight = (c4x1 * 15) + (c4x2 * 30) + (c4x3 * 45) + (c4x4 * 60);
-
-  const baseAssemblyPsf = useMemo(() => calcBaseAssemblyPsf({ includeOSB, osbPsf, drywallLayers, drywallPsf, insulPsf }), [includeOSB, osbPsf, drywallLayers, drywallPsf, insulPsf]);
-  const cloudAvgPsf = useMemo(() => calcCloudAvgPsf(mountMode, area, totalCloudWeight), [mountMode, area, totalCloudWeight]);
-  const gridPsf = useMemo(() => baseAssemblyPsf + cloudAvgPsf + miscPsf, [baseAssemblyPsf, cloudAvgPsf, miscPsf]);
-
-  const maxAreaPerClip = useMemo(() => (gridPsf > 0 ? (CLIP_CAP / gridPsf) : Infinity), [gridPsf]);
-  const maxSpacingProduct = useMemo(() => maxAreaPerClip * 144.0, [maxAreaPerClip]);
-
-  const combos = useMemo(() => calcCombos({
-    gridPsf,
-    allowedChannelSpacings,
-    allowedClipSpacings,
-    constrainToStructure,
-    structureSpacing,
-    clipCap: CLIP_CAP
-  }), [gridPsf, allowedChannelSpacings, allowedClipSpacings, constrainToStructure, structureSpacing]);
-
-  const rec = useMemo(() => firstPassing(combos), [combos]);
-
-  const estimatedClipsOnGrid = useMemo(() => {
-    if (!rec || area <= 0) return 0;
-    const tribFt2 = rec.tribAreaFt2;
-    return Math.ceil(area / Math.max(tribFt2, 1e-6));
-  }, [rec, area]);
-
-  const dedicatedCloudClips = useMemo(() => {
-    if (mountMode !== "dedicated") return 0;
-    const totalClouds = c4x1 + c4x2 + c4x3 + c4x4;
-    return totalClouds * 4;
-  }, [mountMode, c4x1, c4x2, c4x3, c4x4]);
-
-  const totalClips = useMemo(() => estimatedClipsOnGrid + dedicatedCloudClips, [estimatedClipsOnGrid, dedicatedCloudClips]);
-
-  // Dedicated check rows (per-clip loads)
-  const dedicatedRows = useMemo(() => {
-    if (mountMode !== "dedicated") return [];
-    const items = [
-      { name: "4x1 (15 lb)", load: 15 / 4 },
-      { name: "4x2 (30 lb)", load: 30 / 4 },
-      { name: "4x3 (45 lb)", load: 45 / 4 },
-      { name: "4x4 (60 lb)", load: 60 / 4 }
-    ];
-    return items.map(x => ({ name: x.name, load: x.load, pass: x.load <= CLIP_CAP, safety: x.load > 0 ? (CLIP_CAP / x.load) : Infinity }));
-  }, [mountMode]);
+  // Host page events: the job document after every edit, and the results it gives (CLI JSON shape plus the BOM)
+  React.useEffect(() => { if (embed && embed.onChange) embed.onChange(serializeJob(job)); }, [job]);
+  const resultReport = useMemo(() => buildReport(job, zoneResults), [job, zoneResults]);
+  React.useEffect(() => {
+    if (embed && embed.onResult) embed.onResult({ ...resultReport, bom: { lines: bom.lines, totalCost: bom.totalCost } });
+  }, [resultReport, bom]);
+  const show = (panel) => !embed || embed.panels[panel];
+  const theme = (embed && embed.theme) || {};
+  const accent = theme.accent ? { backgroundColor: theme.accent, borderColor: theme.accent } : undefined;
+
+  const {
+    area, shape, lengthFt, widthFt, edgeOffsetIn, channelDirection, layers, miscPsf,
+    mountMode, pointLoads, regions,
+    spacingMode, allowedChannelSpacings, allowedClipSpacings, constrainToStructure, structureSpacing, optimizer: optimizerSettings
+  } = zone;
+  const {
+    area: zoneArea, layout, totalCloudWeight, baseAssemblyPsf, layerRows, gridPsf, maxAreaPerClip, maxSpacingProduct,
+    combos, rec, optimizer, estimatedClipsOnGrid, regionRows, regionClips, regionsOk, dedicatedCloudClips, totalClips, dedicatedRows, dedicatedOk,
+    issues, inputsOk, trace
+  } = zoneResults[zones.indexOf(zone)];
+
+  // Display helpers: values stay imperial in state; these convert for labels and inputs
+  const q = (kind, v, digits) => formatQty(kind, v, units, digits);
+  const shown = (kind, v) => toUnits(kind, v, units);
+  const bindQty = (key, kind) => (v) => updateZone({ [key]: fromUnits(kind, v, units) });
+  const oc = (v) => formatSpacing(v, units);
+  const defl = (v) => q("in", v, units === "metric" ? 1 : 3);
+  const presets = spacingPresets(units);
+  const issuesAt = issuesByPath(issues);
+  const stepsFor = (...keys) => trace.filter(s => keys.includes(s.key)); // explain-mode steps behind a result
+  const at = (path) => issueAt(issuesAt, path, units);
+  const inputErrors = issues.filter(i => i.level === "error");
 
   // -----------------------------
   // Render
   // -----------------------------
+  if (view === "report") {
+    return (
+      <ReportView
+        units={units} jobName={jobName} report={report} onChangeReport={setReport} product={product} clipCap={clipCap} channel={channel}
+        zones={zones} zoneResults={zoneResults} summary={summary} bom={bom} onBack={() => setView("calculator")}
+      />
+    );
+  }
+
   return (
-    <div className="mx-auto max-w-6xl p-6">
+    <div className="mx-auto max-w-6xl p-6" style={{ background: theme.background, color: theme.textColor, fontFamily: theme.fontFamily }}>
       <header className="mb-4">
-        <h1 className="text-2xl font-semibold">GenieClip RST Load Calculator</h1>
-        <p className="text-sm text-gray-600">Compute recommended channel and clip spacing from uniform loads (36 lb/clip limit).</p>
+        <h1 className="text-2xl font-semibold" style={{ color: theme.accent }}>GenieClip RST Load Calculator</h1>
+        <p className="text-sm text-gray-600">Compute recommended channel and clip spacing from uniform loads ({q("lb", clipCap)}/clip limit, {product.name}).</p>
       </header>
 
-      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
-        <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          <h2 className="mb-2 text-lg font-medium">Assembly</h2>
-          <div className="flex flex-col gap-3">
-            <NumberField label="Ceiling area" value={area} setValue={setArea} step={1} suffix="ft^2" />
-            <Toggle label="Include 23/32 OSB" checked={includeOSB} onChange={setIncludeOSB} />
-            {includeOSB ? (
-              <NumberField label="OSB weight" value={osbPsf} setValue={setOsbPsf} step={0.1} suffix="psf" />
-            ) : null}
-            <NumberField label="# of 5/8 drywall layers" value={drywallLayers} setValue={setDrywallLayers} step={1} />
-            <NumberField label="Drywall weight per layer" value={drywallPsf} setValue={setDrywallPsf} step={0.1} suffix="psf" />
-            <NumberField label="Insulation allowance" value={insulPsf} setValue={setInsulPsf} step={0.1} suffix="psf" />
-            <div className="pt-2 border-t">
-              <NumberField label="Misc distributed load" value={miscPsf} setValue={setMiscPsf} step={0.1} suffix="psf" title="Lights, Atmos speakers, cabling, etc." />
+      {show("job") || show("product") || show("zones") || notice ? (
+        <section className="mb-6 rounded-2xl border bg-white p-4 shadow-sm">
+          {show("job") ? (
+            <div className="mb-3 flex flex-wrap items-center gap-3 border-b pb-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span className="font-medium">Job</span>
+                <input type="text" className="w-64 rounded-lg border p-2" value={jobName} placeholder="Untitled job" onChange={(e) => setJobName(e.target.value)} />
+              </label>
+              <button type="button" onClick={startNewJob} className="rounded-lg border px-3 py-2">New</button>
+              <button type="button" onClick={() => fileInputRef.current && fileInputRef.current.click()} className="rounded-lg border px-3 py-2">Open...</button>
+              <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={openJobFile} />
+              <button type="button" onClick={saveJobFile} className="rounded-lg border px-3 py-2">Save JSON</button>
+              {embed ? null : <button type="button" onClick={copyShareLink} className="rounded-lg border px-3 py-2">Copy share link</button>}
+              <button type="button" onClick={() => setView("report")} className="rounded-lg border px-3 py-2">Report</button>
+              <label className="flex items-center gap-2">
+                <span className="text-gray-600">Units</span>
+                <select className="rounded-lg border p-2" value={units} onChange={(e) => setUnits(e.target.value)}>
+                  <option value="imperial">Imperial (in, lb, psf)</option>
+                  <option value="metric">Metric (mm, kg, kg/m^2)</option>
+                </select>
+              </label>
+              {embed ? null : <span className={"text-xs " + (autosaveBlocked ? "text-rose-700" : "text-gray-500")}>{autosaveBlocked ? "Not autosaved until the inputs marked in red are fixed" : "Autosaved in this browser"}</span>}
+            </div>
+          ) : null}
+          {notice ? (
+            <div className={(notice.tone === "danger" ? "bg-rose-50 text-rose-700" : notice.tone === "success" ? "bg-emerald-50 text-emerald-800" : "bg-gray-50 text-gray-700") + " mb-3 rounded-lg p-3 text-sm"}>
+              <div className="flex items-start justify-between gap-3">
+                <span>{notice.text}</span>
+                <button type="button" onClick={() => setNotice(null)} className="text-xs underline">Dismiss</button>
+              </div>
+              {notice.details && notice.details.length > 1 ? (
+                <ul className="mt-1 list-disc pl-5 text-xs">
+                  {notice.details.map((d, i) => <li key={'err-'+i}>{d}</li>)}
+                </ul>
+              ) : null}
+              {notice.link ? <input type="text" readOnly className="mt-2 w-full rounded border bg-white p-2 text-xs text-gray-700" value={notice.link} onFocus={(e) => e.target.select()} /> : null}
             </div>
-          </div>
-          <div className="mt-3 rounded-lg bg-gray-50 p-3 text-sm">
-            <div className="flex items-center justify-between"><span className="text-gray-600">Base assembly load</span><b>{round2(baseAssemblyPsf)} psf</b></div>
-            <div className="flex items-center justify-between"><span className="text-gray-600">Misc distributed load</span><b>{round2(miscPsf)} psf</b></div>
-          </div>
+          ) : null}
+          {show("product") ? (
+            <div className="mb-3 border-b pb-3">
+              <ProductPanel units={units} catalog={catalog} customProducts={customProducts} productId={product.id} onSelect={setProductId} onChangeCustom={setCustomProducts} />
+              <div className="mt-3"><ChannelPanel units={units} channel={channel} onChange={setChannel} /></div>
+            </div>
+          ) : null}
+          {show("zones") ? (
+            <React.Fragment>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="mr-1 font-medium">Zones</span>
+                {zones.map((z, i) => (
+                  <button key={z.id} type="button" onClick={() => setActiveZoneId(z.id)} style={z.id === zone.id ? accent : undefined} className={(z.id === zone.id ? "bg-gray-900 text-white" : "bg-white") + " flex items-center gap-2 rounded-full border px-3 py-1"}>
+                    <span>{z.name || ("Zone " + (i + 1))}</span>
+                    {zoneResults[i].rec && zoneResults[i].dedicatedOk && zoneResults[i].regionsOk ? null : <span className="text-rose-500" title={!zoneResults[i].inputsOk ? "Invalid inputs" : !zoneResults[i].rec ? "No passing spacing" : (zoneResults[i].dedicatedOk ? "Load region with no passing spacing" : "Dedicated point load over capacity")}>!</span>}
+                  </button>
+                ))}
+                <button type="button" onClick={addZone} className="rounded-full border border-dashed px-3 py-1 text-gray-600">+ Add zone</button>
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                <label className="flex items-center gap-2">
+                  <span className="text-gray-600">Zone name</span>
+                  <input type="text" className="w-56 rounded-lg border p-2" value={zone.name} onChange={(e) => updateZone({ name: e.target.value })} />
+                </label>
+                <button type="button" onClick={duplicateZone} className="rounded-lg border px-3 py-2">Duplicate</button>
+                <button type="button" onClick={removeZone} disabled={zones.length <= 1} className="rounded-lg border px-3 py-2 text-rose-700 disabled:opacity-40">Remove</button>
+              </div>
+            </React.Fragment>
+          ) : null}
         </section>
+      ) : null}
 
-        <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          <h2 className="mb-2 text-lg font-medium">Clouds</h2>
-          <div className="mb-2 flex gap-4 text-sm">
-            <label className="flex items-center gap-2">
-              <input type="radio" name="mountMode" checked={mountMode === "distributed"} onChange={() => setMountMode("distributed")} />
-              <span>Distributed (adds avg psf)</span>
-            </label>
-            <label className="flex items-center gap-2">
-              <input type="radio" name="mountMode" checked={mountMode === "dedicated"} onChange={() => setMountMode("dedicated")} />
-              <span>Dedicated clips</span>
-            </label>
-          </div>
-          <div className="flex flex-col gap-3">
-            <NumberField label="4x1 cloud (15 lb)" value={c4x1} setValue={setC4x1} step={1} />
-            <NumberField label="4x2 cloud (30 lb)" value={c4x2} setValue={setC4x2} step={1} />
-            <NumberField label="4x3 cloud (45 lb)" value={c4x3} setValue={setC4x3} step={1} />
-            <NumberField label="4x4 cloud (60 lb)" value={c4x4} setValue={setC4x4} step={1} />
-          </div>
-          <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
-            <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Total cloud weight</span><div><b>{round2(totalCloudWeight)} lb</b></div></div>
-            <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Total grid load</span><div><b>{round2(gridPsf)} psf</b></div></div>
-          </div>
-          {mountMode === "dedicated" && dedicatedRows.length > 0 ? (
-            <div className="mt-3">
-              <h3 className="text-sm font-medium">Dedicated cloud clip check (per clip)</h3>
-              <table className="w-full text-left text-sm">
-                <thead className="text-gray-500"><tr><th className="py-1">Type</th><th className="py-1">Load/clip</th><th className="py-1">Status</th></tr></thead>
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        {/* Keyed by zone so field drafts reset when switching zones */}
+        <React.Fragment key={zone.id}>
+          <section className="rounded-2xl border bg-white p-4 shadow-sm">
+            <h2 className="mb-2 text-lg font-medium">Assembly</h2>
+            <div className="flex flex-col gap-3">
+              <Toggle label="Rectangular room (length x width)" checked={shape === "rect"} onChange={(on) => updateZone({ shape: on ? "rect" : "area" })} />
+              {shape === "rect" ? (
+                <div className="flex flex-col gap-3 rounded-lg bg-gray-50 p-3">
+                  <NumberField label="Room length" value={shown("ft", lengthFt)} setValue={bindQty("lengthFt", "ft")} step={0.5} suffix={unitLabel("ft", units)} issue={at("lengthFt")} />
+                  <NumberField label="Room width" value={shown("ft", widthFt)} setValue={bindQty("widthFt", "ft")} step={0.5} suffix={unitLabel("ft", units)} issue={at("widthFt")} />
+                  <NumberField label="Edge offset" value={shown("in", edgeOffsetIn)} setValue={bindQty("edgeOffsetIn", "in")} step={1} suffix={unitLabel("in", units)} title="Wall to the first/last channel and clip" issue={at("edgeOffsetIn")} />
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="w-48 text-gray-600">Channels run along</span>
+                    <select className="w-36 rounded-lg border p-2" value={channelDirection} onChange={(e) => updateZone({ channelDirection: e.target.value })}>
+                      <option value="length">Length</option>
+                      <option value="width">Width</option>
+                    </select>
+                  </label>
+                  <div className="text-sm text-gray-600">Ceiling area: <b className="text-gray-900">{q("ft2", zoneArea)}</b></div>
+                </div>
+              ) : (
+                <NumberField label="Ceiling area" value={shown("ft2", area)} setValue={bindQty("area", "ft2")} step={1} suffix={unitLabel("ft2", units)} issue={at("area")} />
+              )}
+              <LayerEditor units={units} layers={layers} issues={issuesAt} onChange={bind("layers")} />
+              <div className="pt-2 border-t">
+                <NumberField label="Misc distributed load" value={shown("psf", miscPsf)} setValue={bindQty("miscPsf", "psf")} step={0.1} suffix={unitLabel("psf", units)} title="Lights, Atmos speakers, cabling, etc." issue={at("miscPsf")} />
+              </div>
+            </div>
+            <div className="mt-3 rounded-lg bg-gray-50 p-3 text-sm">
+              <table className="mb-2 w-full text-left">
+                <thead className="text-gray-500"><tr><th className="py-1 font-normal">Layer</th><th className="py-1 text-right font-normal">Weight</th><th className="py-1 text-right font-normal">Share</th></tr></thead>
                 <tbody>
-                  {dedicatedRows.map((r, i) => (
-                    <tr key={'ded-'+i} className="border-t">
-                      <td className="py-1">{r.name}</td>
-                      <td className="py-1">{round2(r.load)} lb</td>
-                      <td className="py-1">{r.pass ? <Pill tone="success">PASS x{round2(r.safety)}</Pill> : <Pill tone="danger">FAIL</Pill>}</td>
+                  {layerRows.map((r, i) => (
+                    <tr key={'lw-'+i} className="border-t">
+                      <td className="py-1">{r.name || ("Layer " + (i + 1))}</td>
+                      <td className="py-1 text-right">{q("psf", r.psf)}</td>
+                      <td className="py-1 text-right">{Math.round(r.share * 100)}%</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
-              <div className="mt-1 text-xs text-gray-500">Assumes 4 clips per cloud.</div>
+              <div className="flex items-center justify-between"><span className="text-gray-600">Base assembly load</span><b>{layerRows.map(r => round2(shown("psf", r.psf))).join(" + ") || "0"} = {q("psf", baseAssemblyPsf)}</b></div>
+              <div className="flex items-center justify-between"><span className="text-gray-600">Misc distributed load</span><b>{q("psf", miscPsf)}</b></div>
             </div>
+          </section>
+
+          {show("pointLoads") ? (
+            <section className="rounded-2xl border bg-white p-4 shadow-sm">
+              <h2 className="mb-2 text-lg font-medium">Clouds and point loads</h2>
+              <div className="mb-2 flex gap-4 text-sm">
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="mountMode" checked={mountMode === "distributed"} onChange={() => updateZone({ mountMode: "distributed" })} />
+                  <span>Distributed (adds avg {unitLabel("psf", units)})</span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="mountMode" checked={mountMode === "dedicated"} onChange={() => updateZone({ mountMode: "dedicated" })} />
+                  <span>Dedicated clips</span>
+                </label>
+              </div>
+              <PointLoadEditor units={units} items={pointLoads} issues={issuesAt} onChange={bind("pointLoads")} />
+              <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
+                <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Total point-load weight</span><div><b>{q("lb", totalCloudWeight)}</b></div></div>
+                <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Total grid load</span><div><b>{q("psf", gridPsf)}</b></div><IssueText issue={at("gridPsf")} /><Explain steps={stepsFor("pointLoadWeight", "cloudAvg", "gridPsf")} units={units} /></div>
+              </div>
+              {mountMode === "dedicated" && dedicatedRows.length > 0 ? (
+                <div className="mt-3">
+                  <h3 className="text-sm font-medium">Dedicated clip check (per clip)</h3>
+                  <table className="w-full text-left text-sm">
+                    <thead className="text-gray-500"><tr><th className="py-1">Item</th><th className="py-1">Weight / clips</th><th className="py-1">Load/clip</th><th className="py-1">Status</th></tr></thead>
+                    <tbody>
+                      {dedicatedRows.map((r, i) => (
+                        <tr key={'ded-'+i} className="border-t">
+                          <td className="py-1">{r.name} <span className="text-gray-500">x{r.qty}</span></td>
+                          <td className="py-1">{q("lb", r.weightLb)} / {r.clipsPerItem}</td>
+                          <td className="py-1">{q("lb", r.load)}</td>
+                          <td className="py-1">{r.pass ? <Pill tone="success">PASS x{round2(r.safety)}</Pill> : <Pill tone="danger">OVER {q("lb", clipCap)}</Pill>}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <Explain steps={stepsFor("dedicated")} units={units} />
+                  {dedicatedOk ? null : <div className="mt-1 rounded-lg bg-rose-50 p-2 text-xs text-rose-700">At least one item exceeds the clip capacity. Add clips per item or use a higher-rated product.</div>}
+                </div>
+              ) : null}
+            </section>
           ) : null}
-        </section>
 
-        <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          <h2 className="mb-2 text-lg font-medium">Spacing options</h2>
-          <div className="mb-2 text-sm text-gray-600">Calculator picks the widest spacing that still passes.</div>
-          <div className="grid grid-cols-2 gap-4 text-sm">
-            <div>
-              <div className="mb-1 font-medium">Channel spacing (in)</div>
-              <div className="flex flex-wrap gap-2">
-                {[12,16,24].map((v) => (
-                  <label key={'ch-'+v} className={(allowedChannelSpacings.includes(v)?"bg-gray-900 text-white":"bg-white") + " flex items-center gap-2 rounded-full border px-3 py-1"}>
-                    <input type="checkbox" className="hidden" checked={allowedChannelSpacings.includes(v)} onChange={(e)=> setAllowedChannelSpacings(prev => e.target.checked ? prev.concat([v]) : prev.filter(x => x !== v))} />
-                    <span>{v}"</span>
-                  </label>
-                ))}
+          {show("regions") ? (
+            <section className="rounded-2xl border bg-white p-4 shadow-sm">
+              <h2 className="mb-2 text-lg font-medium">Load regions</h2>
+              <div className="mb-2 text-sm text-gray-600">Heavier parts of the ceiling (under a projector, a band of speakers). Each region is checked at the grid load plus its extra load and item weight spread over the region; the field spacing is kept where it passes.</div>
+              <RegionEditor units={units} regions={regions} rows={regionRows} issues={issuesAt} onChange={bind("regions")} />
+              <Explain steps={stepsFor("region")} units={units} />
+              {regionsOk ? null : <div className="mt-2 rounded-lg bg-rose-50 p-2 text-xs text-rose-700">At least one region has no passing spacing. Allow tighter spacings or use a higher-rated product.</div>}
+            </section>
+          ) : null}
+
+          {show("spacing") ? (
+            <section className="rounded-2xl border bg-white p-4 shadow-sm">
+              <h2 className="mb-2 text-lg font-medium">Spacing options</h2>
+              <div className="mb-2 flex gap-4 text-sm">
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="spacingMode" checked={spacingMode !== "optimize"} onChange={() => updateZone({ spacingMode: "menu" })} />
+                  <span>Pick from spacing menus</span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="spacingMode" checked={spacingMode === "optimize"} onChange={() => updateZone({ spacingMode: "optimize" })} />
+                  <span>Optimize on framing</span>
+                </label>
               </div>
-            </div>
-            <div>
-              <div className="mb-1 font-medium">Clip spacing (in)</div>
-              <div className="flex flex-wrap gap-2">
-                {[24,32,36,48].map((v) => (
-                  <label key={'cl-'+v} className={(!constrainToStructure && allowedClipSpacings.includes(v)?"bg-gray-900 text-white":"bg-white") + " flex items-center gap-2 rounded-full border px-3 py-1"}>
-                    <input type="checkbox" className="hidden" disabled={constrainToStructure} checked={allowedClipSpacings.includes(v)} onChange={(e)=> setAllowedClipSpacings(prev => e.target.checked ? prev.concat([v]) : prev.filter(x => x !== v))} />
-                    <span>{v}"</span>
-                  </label>
-                ))}
+              {spacingMode === "optimize" ? (
+                <React.Fragment>
+                  <div className="mb-2 text-sm text-gray-600">Clips land on framing; for each framing multiple the widest passing channel spacing is found, then ranked.</div>
+                  <OptimizerPanel units={units} optimizer={optimizerSettings} issues={issuesAt} onChange={bind("optimizer")} />
+                </React.Fragment>
+              ) : (
+                <React.Fragment>
+                  <div className="mb-2 text-sm text-gray-600">Calculator picks the widest spacing that still passes.</div>
+                  <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <div className="mb-1 font-medium">Channel spacing ({unitLabel("in", units)})</div>
+                      <SpacingChips units={units} presets={presets.channel} allowed={allowedChannelSpacings} onChange={bind("allowedChannelSpacings")} />
+                      <IssueText issue={at("allowedChannelSpacings")} />
+                    </div>
+                    <div>
+                      <div className="mb-1 font-medium">Clip spacing ({unitLabel("in", units)})</div>
+                      <SpacingChips units={units} presets={presets.clip} allowed={allowedClipSpacings} onChange={bind("allowedClipSpacings")} disabled={constrainToStructure} />
+                      <IssueText issue={at("allowedClipSpacings")} />
+                    </div>
+                  </div>
+                </React.Fragment>
+              )}
+
+              <div className="mt-3 flex flex-col gap-2 rounded-lg bg-gray-50 p-3 text-sm">
+                {spacingMode === "optimize" ? <span className="text-gray-700">Clips land on structure</span> : <Toggle label="Clips must land on structure (no blocking)" checked={constrainToStructure} onChange={bind("constrainToStructure")} />}
+                <div className="flex flex-wrap items-center gap-2">
+                  <NumberField label="Structure spacing" value={shown("in", structureSpacing)} setValue={bindQty("structureSpacing", "in")} step={1} suffix={unitLabel("in", units)} inputClass="w-24" issue={at("structureSpacing")} />
+                  {presets.structure.map(v => <button key={'st-'+v} type="button" onClick={() => updateZone({ structureSpacing: v })} className="rounded-full border px-2 py-1 text-xs text-gray-600">{oc(v)}</button>)}
+                </div>
               </div>
-            </div>
-          </div>
-
-          <div className="mt-3 flex items-center justify-between rounded-lg bg-gray-50 p-3 text-sm">
-            <Toggle label="Clips must land on structure (no blocking)" checked={constrainToStructure} onChange={setConstrainToStructure} />
-            <label className="flex items-center gap-2">
-              <span className="text-gray-600">Structure spacing</span>
-              <input type="number" className="w-24 rounded border p-2" value={structureSpacing} min={8} step={1} onChange={(e) => setStructureSpacing(Number(e.target.value))} />
-              <span className="text-gray-500">in</span>
-            </label>
-          </div>
-
-          <div className="mt-2 grid grid-cols-2 gap-3 text-sm">
-            <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Max spacing product</span><div><b>{isFinite(maxSpacingProduct) ? Math.round(maxSpacingProduct) : "-"} in^2</b></div></div>
-            <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Max tributary area/clip</span><div><b>{isFinite(maxAreaPerClip) ? round2(maxAreaPerClip) : "-"} ft^2</b></div></div>
-          </div>
-        </section>
 
-        <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          <h2 className="mb-2 text-lg font-medium">Recommendation</h2>
-          {rec ? (
-            <div className="space-y-2">
-              <div className="flex items-center justify-between rounded-lg bg-emerald-50 p-3">
-                <div>
-                  <div className="text-sm text-emerald-700">Recommended spacing</div>
-                  <div className="text-xl font-semibold text-emerald-900">Channels: {rec.channelOC}" OC  ·  Clips: {rec.clipOC}" OC</div>
-                </div>
-                <div className="text-right text-sm">
-                  <div>Load/clip: <b>{round2(rec.loadPerClip)} lb</b></div>
-                  <div>Safety factor: <b>x{round2(rec.safety)}</b></div>
-                </div>
+              <div className="mt-2 grid grid-cols-2 gap-3 text-sm">
+                <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Max spacing product</span><div><b>{q("in2", maxSpacingProduct, 0)}</b></div><Explain steps={stepsFor("maxAreaPerClip", "maxSpacingProduct")} units={units} /></div>
+                <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Max tributary area/clip</span><div><b>{q("ft2", maxAreaPerClip)}</b></div><Explain steps={stepsFor("gridPsf", "maxAreaPerClip")} units={units} /></div>
+              </div>
+            </section>
+          ) : null}
+
+          <section className="rounded-2xl border bg-white p-4 shadow-sm">
+            <h2 className="mb-2 text-lg font-medium">Recommendation</h2>
+            {!inputsOk ? (
+              <div className="rounded-lg bg-rose-50 p-3 text-sm text-rose-700">
+                <div className="font-medium">Not calculated: {inputErrors.length} input error(s). Fix the fields marked in red.</div>
+                <ul className="mt-1 list-disc pl-5 text-xs">
+                  {inputErrors.map((iss, i) => <li key={'ie-'+i}>{iss.path}: {issueMessage(iss, units)}</li>)}
+                </ul>
               </div>
-              <div className="grid grid-cols-2 gap-3 text-sm">
-                <div className="rounded-lg bg-gray-50 p-3">
-                  <div className="flex items-center justify-between"><span className="text-gray-600">Estimated clips on grid</span><b>{estimatedClipsOnGrid}</b></div>
-                  {mountMode === "dedicated" ? (<div className="mt-1 flex items-center justify-between text-xs text-gray-600"><span>+ Cloud clips</span><b>{dedicatedCloudClips}</b></div>) : null}
-                  <div className="mt-1 flex items-center justify-between"><span className="text-gray-600">Total estimated clips</span><b>{totalClips}</b></div>
+            ) : rec ? (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between rounded-lg bg-emerald-50 p-3">
+                  <div>
+                    <div className="text-sm text-emerald-700">Recommended spacing</div>
+                    <div className="text-xl font-semibold text-emerald-900">Channels: {oc(rec.channelOC)} OC  ·  Clips: {oc(rec.clipOC)} OC</div>
+                  </div>
+                  <div className="text-right text-sm">
+                    <div>Load/clip: <b>{q("lb", rec.loadPerClip)}</b></div>
+                    <div>Safety factor: <b>x{round2(rec.safety)}</b></div>
+                    {rec.channel ? <div>Channel deflection: <b>{defl(rec.channel.deflectionIn)}</b> (L/{Math.round(rec.clipOC / rec.channel.deflectionIn)}, limit L/{channel.deflectionLimit})</div> : null}
+                  </div>
+                </div>
+                <div className="rounded-lg bg-gray-50 px-3 py-1">
+                  <Explain steps={stepsFor("tribArea", "loadPerClip", "safety", "lineLoad", "channelDeflection", "channelBending")} units={units} />
+                  <Explain steps={stepsFor("rejected")} units={units} title={optimizer ? "Why not the combinations ranked ahead?" : "Why not a wider spacing?"} />
                 </div>
-                <div className="rounded-lg bg-gray-50 p-3">
-                  <div className="flex items-center justify-between"><span className="text-gray-600">Grid load</span><b>{round2(gridPsf)} psf</b></div>
-                  <div className="flex items-center justify-between"><span className="text-gray-600">Clip capacity</span><b>{CLIP_CAP} lb</b></div>
+                {optimizer && rec.limits ? <div className="rounded-lg bg-gray-50 p-3 text-sm text-gray-700">{describeLimits(rec, units)}</div> : null}
+                <div className="grid grid-cols-2 gap-3 text-sm">
+                  <div className="rounded-lg bg-gray-50 p-3">
+                    <div className="flex items-center justify-between"><span className="text-gray-600">{layout ? "Clips on grid (layout)" : "Estimated clips on grid"}</span><b>{estimatedClipsOnGrid}</b></div>
+                    {regionClips ? (<div className="mt-1 flex items-center justify-between text-xs text-gray-600"><span>+ Load-region clips</span><b>{regionClips}</b></div>) : null}
+                    {mountMode === "dedicated" ? (<div className="mt-1 flex items-center justify-between text-xs text-gray-600"><span>+ Dedicated point-load clips</span><b>{dedicatedCloudClips}</b></div>) : null}
+                    <div className="mt-1 flex items-center justify-between"><span className="text-gray-600">Total estimated clips</span><b>{totalClips}</b></div>
+                  </div>
+                  <div className="rounded-lg bg-gray-50 p-3">
+                    <div className="flex items-center justify-between"><span className="text-gray-600">Grid load</span><b>{q("psf", gridPsf)}</b></div>
+                    <div className="flex items-center justify-between"><span className="text-gray-600">Clip capacity</span><b>{q("lb", clipCap)}</b></div>
+                  </div>
                 </div>
               </div>
-            </div>
-          ) : (
-            <div className="rounded-lg bg-rose-50 p-3 text-rose-700">No passing spacing combination with current constraints.</div>
-          )}
+            ) : (
+              <div className="rounded-lg bg-rose-50 p-3 text-rose-700">
+                No passing spacing combination with current constraints.
+                <Explain steps={stepsFor("rejected")} units={units} title="Why does each combination fail?" />
+              </div>
+            )}
+
+            {inputsOk ? (<div className="mt-3">
+              <h3 className="mb-1 text-sm font-medium">All evaluated combos</h3>
+              <table className="w-full text-left text-sm">
+                <thead className="text-gray-500"><tr><th className="py-1">Channels (OC)</th><th className="py-1">Clips (OC)</th><th className="py-1">Trib. area</th><th className="py-1">Load/clip</th><th className="py-1">Deflection</th>{optimizer ? <th className="py-1">Clips</th> : null}{optimizer && optimizer.objective === "cost" ? <th className="py-1">Cost</th> : null}{optimizer ? <th className="py-1">Limited by</th> : null}<th className="py-1">Status</th></tr></thead>
+                <tbody>
+                  {combos.map((c, i) => (
+                    <tr key={'row-'+i+'-'+c.channelOC+'-'+c.clipOC} className="border-t">
+                      <td className="py-1">{oc(c.channelOC)}</td>
+                      <td className="py-1">{oc(c.clipOC)}</td>
+                      <td className="py-1">{q("ft2", c.tribAreaFt2)}</td>
+                      <td className="py-1">{q("lb", c.loadPerClip)}</td>
+                      <td className="py-1">{c.channel ? defl(c.channel.deflectionIn) + " / " + defl(c.channel.allowableDeflectionIn) : "-"}</td>
+                      {optimizer ? <td className="py-1">{c.clips}</td> : null}
+                      {optimizer && optimizer.objective === "cost" ? <td className="py-1">{money(c.cost)}</td> : null}
+                      {optimizer ? <td className="py-1 text-xs text-gray-600">{"channel: " + c.limits.channel + ", clip: " + c.limits.clip}</td> : null}
+                      <td className="py-1">{c.pass ? <Pill tone="success">PASS x{round2(c.safety)}</Pill> : <Pill tone="danger">FAIL: {GOVERNS_LABELS[c.governs]}</Pill>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-1 text-xs text-gray-500">{optimizer ? "Ranked by " + OBJECTIVE_LABELS[optimizer.objective].toLowerCase() + "; the first PASS is recommended." : "Sorted from widest to densest; the first PASS is recommended."}</div>
+            </div>) : null}
+          </section>
+
+          {shape === "rect" && show("plan") ? (
+            <section className="rounded-2xl border bg-white p-4 shadow-sm md:col-span-2">
+              <h2 className="mb-2 text-lg font-medium">Plan view</h2>
+              {layout ? (
+                <PlanView units={units} layout={layout} title={(jobName ? jobName + " - " : "") + zone.name} onExport={(svg) => downloadText(fileSlug((jobName ? jobName + " " : "") + zone.name) + "-layout.svg", svg, "image/svg+xml")} />
+              ) : (
+                <div className="rounded-lg bg-gray-50 p-3 text-sm text-gray-600">No layout to draw until a spacing combination passes.</div>
+              )}
+            </section>
+          ) : null}
+
+        </React.Fragment>
+
+        {show("scenarios") ? (
+          <section className="rounded-2xl border bg-white p-4 shadow-sm md:col-span-2">
+            <h2 className="mb-2 text-lg font-medium">Scenarios: {zone.name || "this zone"}</h2>
+            <ScenarioPanel units={units} zone={zone} settings={scenarioSettings} onChange={bind("scenarios")} onLoad={(inputs) => updateZone(inputs)} />
+          </section>
+        ) : null}
 
-          <div className="mt-3">
-            <h3 className="mb-1 text-sm font-medium">All evaluated combos</h3>
+        {show("summary") ? (
+          <section className="rounded-2xl border bg-white p-4 shadow-sm md:col-span-2">
+            <h2 className="mb-2 text-lg font-medium">Project summary</h2>
             <table className="w-full text-left text-sm">
-              <thead className="text-gray-500"><tr><th className="py-1">Channels (OC)</th><th className="py-1">Clips (OC)</th><th className="py-1">Trib. area</th><th className="py-1">Load/clip</th><th className="py-1">Status</th></tr></thead>
+              <thead className="text-gray-500"><tr><th className="py-1">Zone</th><th className="py-1">Area</th><th className="py-1">Grid load</th><th className="py-1">Recommended spacing</th><th className="py-1">Clips</th><th className="py-1">Channel</th></tr></thead>
               <tbody>
-                {combos.map((c, i) => (
-                  <tr key={'row-'+i+'-'+c.channelOC+'-'+c.clipOC} className="border-t">
-                    <td className="py-1">{c.channelOC}"</td>
-                    <td className="py-1">{c.clipOC}"</td>
-                    <td className="py-1">{round2(c.tribAreaFt2)} ft^2</td>
-                    <td className="py-1">{isFinite(c.loadPerClip) ? round2(c.loadPerClip) : "-"} lb</td>
-                    <td className="py-1">{c.pass ? <Pill tone="success">PASS x{round2(c.safety)}</Pill> : <Pill tone="danger">FAIL</Pill>}</td>
-                  </tr>
-                ))}
+                {zones.map((z, i) => {
+                  const r = zoneResults[i];
+                  return (
+                    <tr key={'sum-'+z.id} className="border-t">
+                      <td className="py-1">{z.name || ("Zone " + (i + 1))}</td>
+                      <td className="py-1">{q("ft2", r.area)}</td>
+                      <td className="py-1">{q("psf", r.gridPsf)}</td>
+                      <td className="py-1">
+                        {r.rec ? (oc(r.rec.channelOC) + " / " + oc(r.rec.clipOC) + " OC") : <Pill tone="danger">{r.inputsOk ? "No pass" : "Invalid inputs"}</Pill>}
+                        {r.dedicatedOk ? null : <span className="ml-2"><Pill tone="danger">Point load over capacity</Pill></span>}
+                        {r.regionsOk ? null : <span className="ml-2"><Pill tone="danger">Load region fails</Pill></span>}
+                        {r.regionRows.filter(row => row.local).map((row, k) => <div key={'sr-'+k} className="text-xs text-gray-600">{row.name}: {oc(row.rec.channelOC)} / {oc(row.rec.clipOC)} OC</div>)}
+                      </td>
+                      <td className="py-1">{r.totalClips}</td>
+                      <td className="py-1">{formatRunLength(r.channelLf, units)}</td>
+                    </tr>
+                  );
+                })}
               </tbody>
+              <tfoot>
+                <tr className="border-t font-semibold">
+                  <td className="py-1">Project total</td>
+                  <td className="py-1">{q("ft2", zoneResults.reduce((acc, r) => acc + r.area, 0))}</td>
+                  <td className="py-1"></td>
+                  <td className="py-1">{summary.failingZones > 0 ? <Pill tone="danger">{summary.failingZones} zone(s) failing</Pill> : null}</td>
+                  <td className="py-1">{summary.totalClips}</td>
+                  <td className="py-1">{formatRunLength(summary.totalChannelLf, units)}</td>
+                </tr>
+              </tfoot>
             </table>
-            <div className="mt-1 text-xs text-gray-500">Sorted from widest to densest; the first PASS is recommended.</div>
-          </div>
-        </section>
-
-        {/* Self-tests panel to validate core math (in lieu of a test runner) */}
-        <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          <h2 className="mb-2 text-lg font-medium">Built-in tests</h2>
-          <TestPanel />
-        </section>
+            <div className="mt-1 text-xs text-gray-500">Rectangular zones count clips and channel from the actual grid; other zones estimate from area / tributary area and area / channel spacing (no waste or splices).</div>
+          </section>
+        ) : null}
+
+        {show("bom") ? (
+          <section className="rounded-2xl border bg-white p-4 shadow-sm md:col-span-2">
+            <h2 className="mb-2 text-lg font-medium">Bill of materials</h2>
+            <BomPanel units={units} bom={bom} settings={bomSettings} onChangeSettings={setBomSettings} onExportCsv={exportBomCsv} />
+          </section>
+        ) : null}
+
+        {/* Self-tests panel: same cases as the automated suite (npm test) */}
+        {show("tests") ? (
+          <section className="rounded-2xl border bg-white p-4 shadow-sm">
+            <h2 className="mb-2 text-lg font-medium">Built-in tests</h2>
+            <TestPanel />
+          </section>
+        ) : null}
       </div>
 
-      <footer className="mt-6 text-xs text-gray-500">Assumptions: uniform grid loads; capacity 36 lb/clip. Always verify with manufacturer data and structure.</footer>
+      {show("assumptions") ? <Assumptions units={units} product={product} clipCap={clipCap} channel={channel} className="mt-6 text-xs text-gray-500" /> : null}
     </div>
   );
 };
@@ -368,54 +697,8 @@ const App = () => {
 // Tiny test harness (renders results)
 // -----------------------------
 function TestPanel() {
-  // Share calc logic here
-  const run = (cfg) => {
-    const base = calcBaseAssemblyPsf(cfg);
-    const cloud = calcCloudAvgPsf(cfg.mountMode, cfg.area, cfg.totalCloudWeight || 0);
-    const grid = base + cloud + (cfg.miscPsf || 0);
-    const combos = calcCombos({
-      gridPsf: grid,
-      allowedChannelSpacings: cfg.allowedChannelSpacings,
-      allowedClipSpacings: cfg.allowedClipSpacings,
-      constrainToStructure: cfg.constrainToStructure || false,
-      structureSpacing: cfg.structureSpacing || 48,
-      clipCap: 36
-    });
-    return { base, cloud, grid, combos, rec: firstPassing(combos) };
-  };
-
-  // Test cases
-  const tests = [
-    {
-      name: "No clouds, OSB + 2x gyp; only (16,48) and (24,48) allowed → no pass",
-      cfg: { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2, mountMode: "distributed", area: 400, totalCloudWeight: 0, allowedChannelSpacings: [16,24], allowedClipSpacings: [48] },
-      expect: (r) => r.rec === null
-    },
-    {
-      name: "Same assembly; allow (16,24) -> recommend 16/24 (pass)",
-      cfg: { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2, mountMode: "distributed", area: 400, totalCloudWeight: 0, allowedChannelSpacings: [16], allowedClipSpacings: [24] },
-      expect: (r) => r.rec && r.rec.channelOC === 16 && r.rec.clipOC === 24
-    },
-    {
-      name: "Add distributed clouds (4x 60 lb), wide menu -> 24/24 should pass",
-      cfg: { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2, mountMode: "distributed", area: 400, totalCloudWeight: 240, allowedChannelSpacings: [12,16,24], allowedClipSpacings: [24,32,36,48] },
-      expect: (r) => r.rec && (r.rec.channelOC * r.rec.clipOC) >= (24*24) // ensures 24/24 or a wider-equal product passes
-    },
-    {
-      name: "Same as above but +1.0 psf misc makes 24/24 fail; expect 16/32",
-      cfg: { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2, miscPsf: 1.0, mountMode: "distributed", area: 400, totalCloudWeight: 240, allowedChannelSpacings: [12,16,24], allowedClipSpacings: [24,32,36,48] },
-      expect: (r) => r.rec && r.rec.channelOC === 16 && r.rec.clipOC === 32
-    },
-    // New test: ensure 36 in clip options is considered by the engine
-    {
-      name: "Engine includes 36-in clip spacing among evaluated combos",
-      cfg: { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2, mountMode: "distributed", area: 400, totalCloudWeight: 0, allowedChannelSpacings: [12,16,24], allowedClipSpacings: [24,32,36,48] },
-      expect: (r) => r.combos.some(c => c.clipOC === 36)
-    }
-  ];
-
-  const results = tests.map((t) => {
-    const r = run(t.cfg);
+  const results = SELF_TEST_CASES.map((t) => {
+    const r = evaluate(t.cfg);
     const ok = !!t.expect(r);
     return { name: t.name, ok, details: r.rec ? ("rec="+r.rec.channelOC+"/"+r.rec.clipOC+" load="+round2(r.rec.loadPerClip)) : "rec=null" };
   });
@@ -0,0 +1,58 @@
+// User-editable clip product catalog: built-in products plus custom ones persisted to localStorage.
+import { BUILTIN_PRODUCTS, findProduct } from "./engine/index.js";
+import { parseProduct } from "./job.js";
+
+export const CATALOG_KEY = "genieclip:products";
+
+export function fullCatalog(customProducts) {
+  return BUILTIN_PRODUCTS.concat(customProducts);
+}
+
+export function newCustomProduct(customProducts) {
+  let n = customProducts.length + 1;
+  while (findProduct(customProducts, "custom-" + n)) n++;
+  return { id: "custom-" + n, name: "Custom clip " + n, capacityLb: 36, derate: 1 };
+}
+
+function sameProduct(a, b) {
+  return a.name === b.name && a.capacityLb === b.capacityLb && a.derate === b.derate;
+}
+
+// A job opened from a file or link brings its product along. Reuse a matching catalog entry,
+// otherwise add it (under a fresh id if the id is taken by a different product).
+// Returns { customProducts, productId }.
+export function mergeImportedProduct(customProducts, product) {
+  const catalog = fullCatalog(customProducts);
+  const existing = findProduct(catalog, product.id);
+  if (existing && sameProduct(existing, product)) return { customProducts, productId: existing.id };
+  const match = catalog.find(p => sameProduct(p, product));
+  if (match) return { customProducts, productId: match.id };
+
+  let id = product.id;
+  for (let n = 2; findProduct(catalog, id); n++) id = product.id + "-" + n;
+  const added = { id, name: product.name, capacityLb: product.capacityLb, derate: product.derate };
+  return { customProducts: customProducts.concat([added]), productId: id };
+}
+
+export function loadCustomProducts(storage) {
+  try {
+    const list = JSON.parse(storage.getItem(CATALOG_KEY) || "[]");
+    if (!Array.isArray(list)) return [];
+    // Skip entries that fail validation or collide with a built-in id rather than losing the whole catalog
+    return list.filter((raw, i) => {
+      const errors = [];
+      parseProduct(raw, "products[" + i + "]", errors);
+      return errors.length === 0 && !findProduct(BUILTIN_PRODUCTS, raw.id);
+    }).map(raw => ({ id: raw.id, name: raw.name, capacityLb: raw.capacityLb, derate: "derate" in raw ? raw.derate : 1 }));
+  } catch (err) {
+    return [];
+  }
+}
+
+export function saveCustomProducts(storage, customProducts) {
+  try {
+    storage.setItem(CATALOG_KEY, JSON.stringify(customProducts));
+  } catch (err) {
+    // Storage unavailable; the catalog still works for this session
+  }
+}
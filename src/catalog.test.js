@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { CATALOG_KEY, fullCatalog, newCustomProduct, mergeImportedProduct, loadCustomProducts, saveCustomProducts } from "./catalog.js";
+import { DEFAULT_PRODUCT_ID, defaultProduct } from "./engine/index.js";
+
+const hanger = { id: "custom-1", name: "Heavy hanger", capacityLb: 50, derate: 0.8 };
+
+function memoryStorage(initial) {
+  const data = { ...initial };
+  return { data, getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = v; } };
+}
+
+describe("catalog", () => {
+  it("lists built-ins ahead of custom products", () => {
+    expect(fullCatalog([hanger]).map(p => p.id)).toEqual([DEFAULT_PRODUCT_ID, "custom-1"]);
+  });
+
+  it("creates custom products with unused ids", () => {
+    expect(newCustomProduct([hanger]).id).toBe("custom-2");
+    expect(newCustomProduct([{ ...hanger, id: "custom-2" }]).id).toBe("custom-3");
+  });
+
+  it("reuses a matching product when a job is imported", () => {
+    expect(mergeImportedProduct([hanger], defaultProduct())).toEqual({ customProducts: [hanger], productId: DEFAULT_PRODUCT_ID });
+    expect(mergeImportedProduct([hanger], { ...hanger, id: "someone-elses-id" }).productId).toBe("custom-1");
+  });
+
+  it("adds unknown products, renaming the id when it collides", () => {
+    const added = mergeImportedProduct([], hanger);
+    expect(added).toEqual({ customProducts: [hanger], productId: "custom-1" });
+
+    const clash = mergeImportedProduct([hanger], { ...hanger, capacityLb: 60 });
+    expect(clash.productId).toBe("custom-1-2");
+    expect(clash.customProducts).toHaveLength(2);
+  });
+
+  it("persists custom products and skips invalid or built-in entries on load", () => {
+    const storage = memoryStorage();
+    saveCustomProducts(storage, [hanger]);
+    expect(loadCustomProducts(storage)).toEqual([hanger]);
+
+    storage.data[CATALOG_KEY] = JSON.stringify([hanger, { id: "x", name: "", capacityLb: 10 }, { ...defaultProduct() }]);
+    expect(loadCustomProducts(storage)).toEqual([hanger]);
+
+    storage.data[CATALOG_KEY] = "not json";
+    expect(loadCustomProducts(storage)).toEqual([]);
+    expect(loadCustomProducts(null)).toEqual([]);
+  });
+});
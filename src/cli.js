@@ -0,0 +1,139 @@
+// Command-line front end for the engine: `genieclip calc job.json [--format table|json] [--units imperial|metric] [--explain]`.
+// Kept free of process globals so it can be driven from tests; bin/genieclip.js wires it to Node.
+import { GOVERNS_LABELS, OBJECTIVE_LABELS, UNIT_SYSTEMS, buildReport, describeLimits, effectiveCapacity, evaluate, formatRunLength, issueMessage, stepText, toUnits, unitLabel } from "./engine/index.js";
+import { parseJob } from "./job.js";
+
+export const EXIT_OK = 0;
+export const EXIT_NO_PASS = 1; // at least one zone has invalid inputs, no passing combo or an overloaded dedicated item
+export const EXIT_USAGE = 2; // bad arguments or unreadable job file
+
+const USAGE = [
+  "Usage: genieclip calc <job.json> [--format table|json] [--units imperial|metric] [--explain]",
+  "",
+  "Reads a job file (saved from the web app, or a hand-written zone object or",
+  "{ \"zones\": [...] }) and prints the recommended channel/clip spacing per",
+  "zone. Exits 1 when any zone has invalid inputs (such as a fractional item",
+  "count), no passing spacing combination or a dedicated point load over",
+  "clip capacity.",
+  "",
+  "The table uses the job's units unless --units is given. JSON output always",
+  "uses the engine's imperial units (in, ft, ft^2, lb, psf). --explain adds the",
+  "step-by-step derivation of each zone's numbers under the table (the JSON",
+  "output always carries it as each zone's trace)."
+].join("\n");
+
+function parseArgs(argv) {
+  const out = { command: null, file: null, format: "table", units: null, explain: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") out.help = true;
+    else if (a === "--format") out.format = argv[++i];
+    else if (a.startsWith("--format=")) out.format = a.slice("--format=".length);
+    else if (a === "--explain") out.explain = true;
+    else if (a === "--units") out.units = argv[++i];
+    else if (a.startsWith("--units=")) out.units = a.slice("--units=".length);
+    else if (a.startsWith("-")) throw new Error("Unknown option: " + a);
+    else if (!out.command) out.command = a;
+    else if (!out.file) out.file = a;
+    else throw new Error("Unexpected argument: " + a);
+  }
+  return out;
+}
+
+function fmt(x, digits) {
+  return isFinite(x) ? x.toFixed(digits) : "-";
+}
+
+function qty(kind, x, digits, units) {
+  return fmt(toUnits(kind, x, units), digits) + " " + unitLabel(kind, units);
+}
+
+// Imperial spacings print as entered (19.2 in); metric ones to the nearest mm
+function spacing(inches, units) {
+  return units === "metric" ? qty("in", inches, 0, units) : inches + " in";
+}
+
+// job: parsed JSON document or JSON text; validated by parseJob (throws JobError)
+export function calcJob(job) {
+  const parsed = parseJob(job);
+  const clipCap = effectiveCapacity(parsed.product);
+  const results = parsed.zones.map(z => evaluate({ ...z, clipCap, channelCheck: parsed.channel, bom: parsed.bom }));
+  return buildReport(parsed, results);
+}
+
+// units defaults to the job's own display units; explain adds each zone's derivation (see explain.js)
+export function formatTable(report, units, explain) {
+  const u = units || report.units;
+  const header = ["Zone", "Channel OC", "Clip OC", "Load/clip", "Safety", "Clips", "Channel", "Deflection"];
+  const rows = report.zones.map(z => (z.channelOC !== null ? [
+    z.name, spacing(z.channelOC, u), spacing(z.clipOC, u), qty("lb", z.loadPerClip, 2, u), "x" + fmt(z.safety, 2), String(z.clips), formatRunLength(z.channelLf, u),
+    z.deflectionIn > 0 ? "L/" + Math.round(z.clipOC / z.deflectionIn) : "-"
+  ] : [z.name, z.inputsOk ? "NO PASS" : "INVALID", "-", "-", "-", "-", "-", "-"]));
+  rows.push(["Total", "", "", "", "", String(report.totals.clips), formatRunLength(report.totals.channelLf, u), ""]);
+
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+  const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join("  ").trimEnd();
+  const rule = widths.map(w => "-".repeat(w)).join("  ");
+  const p = report.product;
+  const title = "Clip product: " + p.name + " (" + qty("lb", p.effectiveLb, 2, u) + "/clip" + (p.derate !== 1 ? ", rated " + qty("lb", p.capacityLb, 2, u) + " x " + p.derate + " derate" : "") + ")";
+  const channelLine = "Channel: " + report.channel.name + " (deflection limit L/" + report.channel.deflectionLimit + ")";
+  const notes = [];
+  report.zones.forEach((z) => {
+    z.issues.forEach((issue) => notes.push((issue.level === "error" ? "! " + z.name + ": invalid " : "* " + z.name + ": check ") + issue.path + ": " + issueMessage(issue, u)));
+    if (z.channelOC === null && z.governs) notes.push("! " + z.name + ": no passing spacing; governed by " + GOVERNS_LABELS[z.governs]);
+    if (z.optimizer && z.optimizer.limits) notes.push("* " + z.name + " (optimized for " + OBJECTIVE_LABELS[z.optimizer.objective].toLowerCase() + "): " + describeLimits({ pass: true, clipOC: z.clipOC, limits: z.optimizer.limits }, u));
+    z.regions.forEach((rg) => {
+      if (!rg.pass) notes.push("! " + z.name + ": load region \"" + rg.name + "\" (" + qty("psf", rg.psf, 2, u) + ") has no passing spacing");
+      else if (rg.local) notes.push("* " + z.name + ": load region \"" + rg.name + "\" (" + qty("psf", rg.psf, 2, u) + ") needs " + spacing(rg.channelOC, u) + " / " + spacing(rg.clipOC, u) + " OC, +" + rg.extraClips + " clips");
+    });
+    z.overloadedItems.forEach((it) => notes.push("! " + z.name + ": dedicated item \"" + it.name + "\" puts " + qty("lb", it.loadPerClip, 2, u) + " on each clip (over capacity)"));
+  });
+  const table = [title, channelLine, "", line(header), rule].concat(rows.slice(0, -1).map(line), [rule, line(rows[rows.length - 1])]);
+  const derivations = [];
+  if (explain) {
+    report.zones.forEach((z) => {
+      derivations.push("", z.name + ": how the numbers are derived");
+      if (!z.trace.length) derivations.push("  (not calculated: the inputs have errors)");
+      z.trace.forEach((s) => derivations.push("  " + s.label + ": " + stepText(s, u)));
+    });
+  }
+  return table.concat(notes.length ? [""].concat(notes) : [], derivations).join("\n") + "\n";
+}
+
+// io: { readFile(path) -> string, stdout(text), stderr(text) }. Returns the exit code.
+export function run(argv, io) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    io.stderr(err.message + "\n\n" + USAGE + "\n");
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    io.stdout(USAGE + "\n");
+    return EXIT_OK;
+  }
+  if (args.command !== "calc" || !args.file) {
+    io.stderr(USAGE + "\n");
+    return EXIT_USAGE;
+  }
+  if (args.format !== "table" && args.format !== "json") {
+    io.stderr("Unknown format: " + args.format + " (expected table or json)\n");
+    return EXIT_USAGE;
+  }
+  if (args.units !== null && !UNIT_SYSTEMS.includes(args.units)) {
+    io.stderr("Unknown units: " + args.units + " (expected " + UNIT_SYSTEMS.join(" or ") + ")\n");
+    return EXIT_USAGE;
+  }
+
+  let report;
+  try {
+    report = calcJob(io.readFile(args.file));
+  } catch (err) {
+    io.stderr(args.file + ": " + err.message + "\n");
+    return EXIT_USAGE;
+  }
+
+  io.stdout(args.format === "json" ? JSON.stringify(report, null, 2) + "\n" : formatTable(report, args.units, args.explain));
+  return report.totals.failingZones > 0 ? EXIT_NO_PASS : EXIT_OK;
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect } from "vitest";
+import { run, calcJob, EXIT_OK, EXIT_NO_PASS, EXIT_USAGE } from "./cli.js";
+
+function harness(files) {
+  const out = { stdout: "", stderr: "" };
+  const io = {
+    readFile: (path) => {
+      if (!(path in files)) throw new Error("ENOENT: no such file");
+      return files[path];
+    },
+    stdout: (t) => { out.stdout += t; },
+    stderr: (t) => { out.stderr += t; }
+  };
+  return { io, out };
+}
+
+const PASSING = JSON.stringify({ area: 400 });
+const PROJECT = JSON.stringify({
+  zones: [
+    { name: "Main room", area: 400 },
+    { name: "Soffit", area: 60, allowedChannelSpacings: [24], allowedClipSpacings: [48] }
+  ]
+});
+
+describe("calcJob", () => {
+  it("treats a bare zone object as a one-zone project", () => {
+    const report = calcJob({ area: 400 });
+    expect(report.zones).toHaveLength(1);
+    expect(report.zones[0]).toMatchObject({ name: "Zone 1", pass: true, channelOC: 12, clipOC: 48, clips: 100 });
+  });
+
+  it("applies the job's product capacity (after derate) to every zone", () => {
+    const report = calcJob({ product: { id: "h", name: "Hanger", capacityLb: 40, derate: 0.5 }, zones: [{ area: 100 }, { area: 200 }] });
+    expect(report.product).toEqual({ name: "Hanger", capacityLb: 40, derate: 0.5, effectiveLb: 20 });
+    expect(report.zones.map(z => z.clipCap)).toEqual([20, 20]);
+  });
+
+  it("still accepts a legacy clipCap", () => {
+    expect(calcJob({ clipCap: 20, area: 100 }).zones[0].clipCap).toBe(20);
+  });
+
+  it("rejects an empty zones array", () => {
+    expect(() => calcJob({ zones: [] })).toThrow(/non-empty/);
+  });
+});
+
+describe("run", () => {
+  it("prints a table and exits 0 when every zone passes", () => {
+    const { io, out } = harness({ "job.json": PASSING });
+    expect(run(["calc", "job.json"], io)).toBe(EXIT_OK);
+    expect(out.stdout).toMatch(/^Clip product: GenieClip RST \(36\.00 lb\/clip\)/);
+    expect(out.stdout).toMatch(/Channel OC/);
+    expect(out.stdout).toMatch(/12 in\s+48 in\s+31\.60 lb\s+x1\.14\s+100/);
+  });
+
+  it("prints JSON with --format json", () => {
+    const { io, out } = harness({ "job.json": PASSING });
+    expect(run(["calc", "job.json", "--format", "json"], io)).toBe(EXIT_OK);
+    const parsed = JSON.parse(out.stdout);
+    expect(parsed.zones[0]).toMatchObject({ channelOC: 12, clipOC: 48, clips: 100 });
+    expect(parsed.totals.clips).toBe(100);
+  });
+
+  it("prints the table in metric with --units metric or a metric job, with the same result", () => {
+    const { io, out } = harness({ "job.json": PASSING, "metric.json": JSON.stringify({ units: "metric", zones: [{ area: 400 }] }) });
+    expect(run(["calc", "job.json", "--units", "metric"], io)).toBe(EXIT_OK);
+    expect(out.stdout).toMatch(/^Clip product: GenieClip RST \(16\.33 kg\/clip\)/);
+    expect(out.stdout).toMatch(/305 mm\s+1219 mm\s+14\.33 kg\s+x1\.14\s+100\s+122 m/);
+    const metricTable = out.stdout;
+    out.stdout = "";
+    expect(run(["calc", "metric.json"], io)).toBe(EXIT_OK);
+    expect(out.stdout).toBe(metricTable);
+    expect(run(["calc", "job.json", "--units", "furlongs"], io)).toBe(EXIT_USAGE);
+  });
+
+  it("explains optimizer zones under the table", () => {
+    const job = JSON.stringify({ zones: [{ name: "Main", area: 400, spacingMode: "optimize", structureSpacing: 16 }] });
+    const { io, out } = harness({ "job.json": job });
+    expect(run(["calc", "job.json"], io)).toBe(EXIT_OK);
+    expect(out.stdout).toMatch(/Main\s+20 in\s+32 in/);
+    expect(out.stdout).toMatch(/\* Main \(optimized for fewest clips\): Channel spacing limited by capacity/);
+  });
+
+  it("lists load regions that need a tighter spacing, and fails on regions that cannot pass", () => {
+    const region = { name: "Projector", lengthFt: 4, widthFt: 4, extraPsf: 0, pointLoadLb: 80 };
+    const { io, out } = harness({ "ok.json": JSON.stringify({ area: 400, regions: [region] }), "over.json": JSON.stringify({ area: 400, regions: [{ ...region, pointLoadLb: 400 }] }) });
+    expect(run(["calc", "ok.json"], io)).toBe(EXIT_OK);
+    expect(out.stdout).toMatch(/\* Zone 1: load region "Projector" \(12\.90 psf\) needs 12 in \/ 32 in OC, \+2 clips/);
+    expect(run(["calc", "over.json"], io)).toBe(EXIT_NO_PASS);
+    expect(out.stdout).toMatch(/! Zone 1: load region "Projector" \(32\.90 psf\) has no passing spacing/);
+  });
+
+  it("prints the channel check and names channel deflection when it governs a failing zone", () => {
+    const job = JSON.stringify({ product: { id: "h", name: "Heavy", capacityLb: 100 }, channel: { channelId: "dwfc-25", deflectionLimit: 360 }, zones: [{ name: "Sag", area: 100, miscPsf: 2.1, allowedChannelSpacings: [24], allowedClipSpacings: [48] }] });
+    const { io, out } = harness({ "job.json": job });
+    expect(run(["calc", "job.json"], io)).toBe(EXIT_NO_PASS);
+    expect(out.stdout).toMatch(/^Clip product: Heavy \(100\.00 lb\/clip\)\nChannel: 7\/8 in furring channel, 25 ga \(deflection limit L\/360\)/);
+    expect(out.stdout).toMatch(/! Sag: no passing spacing; governed by channel deflection/);
+    out.stdout = "";
+    run(["calc", "job.json", "--format", "json"], io);
+    expect(JSON.parse(out.stdout).zones[0]).toMatchObject({ pass: false, channelOC: null, governs: "deflection" });
+  });
+
+  it("exits 1 when a zone has no passing combo", () => {
+    const { io, out } = harness({ "job.json": PROJECT });
+    expect(run(["calc", "job.json", "--format=json"], io)).toBe(EXIT_NO_PASS);
+    expect(JSON.parse(out.stdout).totals.failingZones).toBe(1);
+  });
+
+  it("exits 1 and names the item when a dedicated point load overloads its clips", () => {
+    const job = JSON.stringify({ mountMode: "dedicated", pointLoads: [{ name: "Projector", qty: 1, weightLb: 80, widthFt: 2, lengthFt: 2, clipsPerItem: 2 }] });
+    const { io, out } = harness({ "job.json": job });
+    expect(run(["calc", "job.json"], io)).toBe(EXIT_NO_PASS);
+    expect(out.stdout).toMatch(/! Zone 1: dedicated item "Projector" puts 40\.00 lb on each clip/);
+  });
+
+  it("refuses to calculate a zone with invalid inputs and lists warnings in the display units", () => {
+    const job = JSON.stringify({ units: "metric", zones: [
+      { name: "Lobby", pointLoads: [{ name: "Cloud", qty: 2.5, weightLb: 30, widthFt: 4, lengthFt: 2, clipsPerItem: 4 }] },
+      { name: "Booth", miscPsf: 12 }
+    ] });
+    const { io, out } = harness({ "job.json": job });
+    expect(run(["calc", "job.json"], io)).toBe(EXIT_NO_PASS);
+    expect(out.stdout).toMatch(/^Lobby +INVALID/m);
+    expect(out.stdout).toMatch(/! Lobby: invalid pointLoads\[0\]\.qty: Must be a whole number/);
+    expect(out.stdout).toMatch(/\* Booth: check miscPsf: Unusually high \(over 48\.82 kg\/m\^2\); check the value/);
+    expect(calcJob(JSON.parse(job)).zones[0]).toMatchObject({ pass: false, inputsOk: false, clips: 0 });
+  });
+
+  it("prints each zone's derivation with --explain, including why wider combos fail", () => {
+    const { io, out } = harness({ "job.json": PROJECT });
+    run(["calc", "job.json", "--explain"], io);
+    expect(out.stdout).toMatch(/^Main room: how the numbers are derived$/m);
+    expect(out.stdout).toMatch(/^  Max tributary area\/clip: 36 \/ 7\.9 = 4\.56 ft\^2$/m);
+    expect(out.stdout).toMatch(/^  Load per clip: 4 x 7\.9 = 31\.6 lb <= 36 lb$/m);
+    expect(out.stdout).toMatch(/^  Fails: 24 \/ 48 OC: load\/clip 8 x 7\.9 = 63\.2 lb > 36 lb/m);
+    const plain = harness({ "job.json": PROJECT });
+    run(["calc", "job.json"], plain.io);
+    expect(plain.out.stdout).not.toMatch(/derived/);
+  });
+
+  it("exits 2 on bad usage, unknown formats and unreadable files", () => {
+    const { io, out } = harness({ "bad.json": "{ nope" });
+    expect(run([], io)).toBe(EXIT_USAGE);
+    expect(run(["calc", "job.json", "--format", "xml"], io)).toBe(EXIT_USAGE);
+    expect(run(["calc", "missing.json"], io)).toBe(EXIT_USAGE);
+    expect(run(["calc", "bad.json"], io)).toBe(EXIT_USAGE);
+    expect(out.stderr).toMatch(/bad\.json: Invalid job file: not valid JSON/);
+  });
+});
@@ -0,0 +1,13 @@
+import React from "react";
+import { findChannel, formatQty } from "../engine/index.js";
+import { round2 } from "./controls.jsx";
+
+// Assumptions line shared by the calculator footer and the printed report
+const Assumptions = ({ units, product, clipCap, channel, className }) => (
+  <footer className={className}>
+    Assumptions: uniform grid loads; capacity {formatQty("lb", clipCap, units)}/clip ({product.name}{product.derate !== 1 ? (", rated " + formatQty("lb", product.capacityLb, units) + " x " + round2(product.derate) + " derate") : ""}).
+    {channel ? " Channel (" + findChannel(channel.channelId).name + ") checked as continuous over the clips for bending (0.6 Fy) and deflection (L/" + channel.deflectionLimit + ") using typical section properties." : ""} Always verify with manufacturer data and structure.
+  </footer>
+);
+
+export default Assumptions;
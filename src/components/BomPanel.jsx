@@ -0,0 +1,66 @@
+import React from "react";
+import { fromUnits, toUnits, unitLabel } from "../engine/index.js";
+import { NumberField, money, round2 } from "./controls.jsx";
+
+// Prices converted to per m^2 carry float tails; four decimals is plenty to edit
+function priceValue(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// Project-wide takeoff with editable unit prices; settings are saved with the job (imperial, prices per ft^2)
+const BomPanel = ({ units, bom, settings, onChangeSettings, onExportCsv }) => {
+  // Settings are not zone inputs: they keep their last value while a field holds text that is not a number (NaN)
+  const set = (key, min, kind) => (v) => { if (!Number.isNaN(v)) onChangeSettings({ ...settings, [key]: Math.max(kind ? fromUnits(kind, v, units) : v, min) }); };
+  const shown = (key, kind) => toUnits(kind, settings[key], units);
+  const setPrice = (line) => (v) => {
+    if (Number.isNaN(v)) return;
+    const price = line.unit === unitLabel("ft2", units) ? fromUnits("perFt2", v, units) : v;
+    onChangeSettings({ ...settings, prices: { ...settings.prices, [line.key]: Math.max(price, 0) } });
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="mb-3 grid grid-cols-1 gap-2 rounded-lg bg-gray-50 p-3 md:grid-cols-2">
+        <NumberField label="Waste allowance" value={settings.wastePct} setValue={set("wastePct", 0)} step={1} suffix="%" title="Applied to channel, screws and layer materials (not clips)" inputClass="w-20" />
+        <NumberField label="Screws per clip" value={settings.screwsPerClip} setValue={set("screwsPerClip", 0)} step={1} inputClass="w-20" />
+        <NumberField label="Channel stick length" value={shown("stickLengthFt", "ft")} setValue={set("stickLengthFt", 1, "ft")} step={1} suffix={unitLabel("ft", units)} inputClass="w-20" />
+        <NumberField label="Splice overlap" value={shown("spliceOverlapIn", "in")} setValue={set("spliceOverlapIn", 0, "in")} step={1} suffix={unitLabel("in", units)} inputClass="w-20" />
+        <div className="flex items-center gap-2">
+          <span className="w-48 text-gray-600">Sheet size</span>
+          <NumberField label="" value={shown("sheetWidthFt", "ft")} setValue={set("sheetWidthFt", 1, "ft")} step={1} inputClass="w-14" />
+          <span className="text-gray-400">x</span>
+          <NumberField label="" value={shown("sheetLengthFt", "ft")} setValue={set("sheetLengthFt", 1, "ft")} step={1} suffix={unitLabel("ft", units)} inputClass="w-14" />
+        </div>
+      </div>
+
+      <table className="w-full text-left text-sm">
+        <thead className="text-gray-500">
+          <tr><th className="py-1">Item</th><th className="py-1 text-right">Qty</th><th className="py-1">Unit</th><th className="py-1">Unit price</th><th className="py-1 text-right">Extended</th></tr>
+        </thead>
+        <tbody>
+          {bom.lines.map((l) => (
+            <tr key={'bom-'+l.key} className="border-t">
+              <td className="py-1">
+                <div>{l.name}</div>
+                {l.note ? <div className="text-xs text-gray-500">{l.note}</div> : null}
+              </td>
+              <td className="py-1 text-right">{round2(l.qty)}</td>
+              <td className="py-1 pl-2">{l.unit}</td>
+              <td className="py-1"><NumberField label="" value={priceValue(l.unitPrice)} setValue={setPrice(l)} step={0.01} suffix={"/ " + (l.unit === "sticks" ? "stick" : l.unit === "sheets" ? "sheet" : l.unit)} inputClass="w-20" /></td>
+              <td className="py-1 text-right">{money(l.extended)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t font-semibold"><td className="py-1" colSpan={4}>Material total</td><td className="py-1 text-right">{money(bom.totalCost)}</td></tr>
+        </tfoot>
+      </table>
+      <div className="mt-2 flex items-center justify-between">
+        <span className="text-xs text-gray-500">Clips are counted exactly; waste applies to everything else. Zones without a passing spacing add no clips or channel.</span>
+        <button type="button" onClick={onExportCsv} className="rounded-lg border px-3 py-2">Export CSV</button>
+      </div>
+    </div>
+  );
+};
+
+export default BomPanel;
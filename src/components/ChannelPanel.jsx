@@ -0,0 +1,26 @@
+import React from "react";
+import { CHANNEL_CATALOG, DEFLECTION_LIMITS, findChannel, formatQty } from "../engine/index.js";
+
+// Job-level furring channel and deflection limit for the channel span check
+const ChannelPanel = ({ units, channel, onChange }) => {
+  const section = findChannel(channel.channelId);
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Furring channel</span>
+        <select className="rounded-lg border p-2" value={channel.channelId} onChange={(e) => onChange({ ...channel, channelId: e.target.value })}>
+          {CHANNEL_CATALOG.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="text-gray-600">Deflection limit</span>
+        <select className="rounded-lg border p-2" value={channel.deflectionLimit} onChange={(e) => onChange({ ...channel, deflectionLimit: Number(e.target.value) })}>
+          {DEFLECTION_LIMITS.map(n => <option key={'dl-'+n} value={n}>L/{n}</option>)}
+        </select>
+      </label>
+      {section ? <span className="text-gray-600">{formatQty("in", section.thicknessIn, units, units === "metric" ? 2 : 4)} steel, Ix {formatQty("in4", section.ixIn4, units, units === "metric" ? 0 : 4)}, Sx {formatQty("in3", section.sxIn3, units, units === "metric" ? 0 : 4)}</span> : null}
+    </div>
+  );
+};
+
+export default ChannelPanel;
@@ -0,0 +1,67 @@
+import React from "react";
+import { MATERIALS, customLayer, findMaterial, formatQty, fromUnits, layerFromMaterial, toUnits, unitLabel } from "../engine/index.js";
+import { NumberField, issueAt } from "./controls.jsx";
+
+const CUSTOM = "__custom__";
+
+function thicknessLabel(layer, units) {
+  return typeof layer.thicknessIn === "number" ? formatQty("in", layer.thicknessIn, units, units === "metric" ? 1 : 2) : "";
+}
+
+// Ordered assembly layer list (channel side first). Each layer is picked from the
+// material library or entered by hand; weights stay editable either way.
+// issues: issuesByPath() of the zone's validation issues.
+const LayerEditor = ({ units, layers, issues, onChange }) => {
+  const replace = (i, layer) => onChange(layers.map((l, k) => (k === i ? layer : l)));
+  const move = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= layers.length) return;
+    const next = layers.slice();
+    next[i] = layers[j];
+    next[j] = layers[i];
+    onChange(next);
+  };
+  const remove = (i) => onChange(layers.filter((l, k) => k !== i));
+  const add = (id) => onChange(layers.concat([id === CUSTOM ? customLayer() : layerFromMaterial(id)]));
+  const pick = (i, id) => {
+    if (id === CUSTOM) replace(i, { ...layers[i], materialId: null });
+    else replace(i, layerFromMaterial(id));
+  };
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <div className="text-gray-600">Layers (channel side first)</div>
+      {layers.length === 0 ? <div className="rounded-lg bg-gray-50 p-2 text-gray-500">No layers yet.</div> : null}
+      {layers.map((layer, i) => {
+        const material = layer.materialId ? findMaterial(layer.materialId) : null;
+        const edited = material && material.psf !== layer.psf;
+        return (
+          <div key={'layer-'+i} className="flex flex-wrap items-center gap-2 rounded-lg border p-2">
+            <span className="w-5 text-gray-400">{i + 1}</span>
+            <select className="w-48 rounded-lg border p-2" value={material ? material.id : CUSTOM} onChange={(e) => pick(i, e.target.value)}>
+              {MATERIALS.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              <option value={CUSTOM}>Custom (enter by hand)</option>
+            </select>
+            {material ? null : (
+              <input type="text" className="w-40 rounded-lg border p-2" value={layer.name} placeholder="Layer name" onChange={(e) => replace(i, { ...layer, name: e.target.value })} />
+            )}
+            <NumberField label="" value={toUnits("psf", layer.psf, units)} setValue={(v) => replace(i, { ...layer, psf: fromUnits("psf", v, units) })} step={0.1} suffix={unitLabel("psf", units)} issue={issueAt(issues, "layers[" + i + "].psf", units)} />
+            <span className="text-xs text-gray-500">{thicknessLabel(layer, units)}{edited ? " (weight edited)" : ""}</span>
+            <span className="ml-auto flex gap-1">
+              <button type="button" title="Move up" disabled={i === 0} onClick={() => move(i, -1)} className="rounded border px-2 disabled:opacity-30">^</button>
+              <button type="button" title="Move down" disabled={i === layers.length - 1} onClick={() => move(i, 1)} className="rounded border px-2 disabled:opacity-30">v</button>
+              <button type="button" title="Remove layer" onClick={() => remove(i)} className="rounded border px-2 text-rose-700">x</button>
+            </span>
+          </div>
+        );
+      })}
+      <select className="w-48 rounded-lg border border-dashed p-2 text-gray-600" value="" onChange={(e) => { if (e.target.value) add(e.target.value); }}>
+        <option value="">+ Add layer...</option>
+        {MATERIALS.map(m => <option key={m.id} value={m.id}>{m.name} ({formatQty("psf", m.psf, units)})</option>)}
+        <option value={CUSTOM}>Custom (enter by hand)</option>
+      </select>
+    </div>
+  );
+};
+
+export default LayerEditor;
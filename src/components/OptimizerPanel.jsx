@@ -0,0 +1,29 @@
+import React from "react";
+import { OBJECTIVE_LABELS, OPTIMIZER_OBJECTIVES, fromUnits, toUnits, unitLabel } from "../engine/index.js";
+import { NumberField, issueAt } from "./controls.jsx";
+
+// Optimizer settings for one zone: channel spacing range and step, widest clip spacing, ranking objective.
+// Clips always land on framing at the zone's structure spacing. issues: issuesByPath() of the zone's validation issues.
+const OptimizerPanel = ({ units, optimizer, issues, onChange }) => {
+  const set = (key) => (v) => onChange({ ...optimizer, [key]: fromUnits("in", v, units) });
+  const shown = (key) => toUnits("in", optimizer[key], units);
+  const suffix = unitLabel("in", units);
+  const at = (key) => issueAt(issues, "optimizer." + key, units);
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <NumberField label="Min channel spacing" value={shown("minChannelIn")} setValue={set("minChannelIn")} step={1} suffix={suffix} inputClass="w-24" issue={at("minChannelIn")} />
+      <NumberField label="Max channel spacing" value={shown("maxChannelIn")} setValue={set("maxChannelIn")} step={1} suffix={suffix} inputClass="w-24" issue={at("maxChannelIn")} />
+      <NumberField label="Channel spacing step" value={shown("channelStepIn")} setValue={set("channelStepIn")} step={1} suffix={suffix} title="Channel spacing is rounded down to min + a whole number of steps" inputClass="w-24" issue={at("channelStepIn")} />
+      <NumberField label="Max clip spacing" value={shown("maxClipIn")} setValue={set("maxClipIn")} step={1} suffix={suffix} title="Widest clip spacing along a channel (check the product's limit)" inputClass="w-24" issue={at("maxClipIn")} />
+      <label className="flex items-center gap-2">
+        <span className="w-48 text-gray-600">Rank by</span>
+        <select className="rounded-lg border p-2" value={optimizer.objective} onChange={(e) => onChange({ ...optimizer, objective: e.target.value })}>
+          {OPTIMIZER_OBJECTIVES.map(k => <option key={k} value={k}>{OBJECTIVE_LABELS[k]}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default OptimizerPanel;
@@ -0,0 +1,29 @@
+import React, { useMemo } from "react";
+import { formatQty, formatRunLength, layoutToSvg } from "../engine/index.js";
+
+// Plan view of one zone's channel/clip grid, rendered from the same SVG the crew export uses
+const PlanView = ({ units, layout, title, onExport }) => {
+  const svg = useMemo(() => layoutToSvg(layout, { title, units }), [layout, title, units]);
+  const src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+
+  return (
+    <div className="text-sm">
+      <div className="mb-2 grid grid-cols-2 gap-3 md:grid-cols-4">
+        <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Channel runs</span><div><b>{layout.channelCount}</b> x {formatQty("ft", layout.runIn / 12, units, 1)}</div></div>
+        <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Clips per channel</span><div><b>{layout.clipsPerChannel}</b></div></div>
+        <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Clips on grid</span><div><b>{layout.clipCount}</b></div></div>
+        <div className="rounded-lg bg-gray-50 p-3"><span className="text-gray-600">Channel length</span><div><b>{formatRunLength(layout.channelLf, units)}</b></div></div>
+      </div>
+      {layout.warnings.map((w, i) => <div key={'lw-'+i} className="mb-2 rounded-lg bg-amber-50 p-2 text-xs text-amber-800">{w}</div>)}
+      <div className="overflow-auto rounded-lg border bg-white p-2">
+        <img src={src} alt={"Plan view: " + title} className="mx-auto max-h-[32rem] w-full object-contain" />
+      </div>
+      <div className="mt-2 flex items-center justify-between">
+        <span className="text-xs text-gray-500">Channels in blue, clips in red. Exported SVG prints at {units === "metric" ? "1:48" : "1/4\" = 1'-0\""}.</span>
+        <button type="button" onClick={() => onExport(svg)} className="rounded-lg border px-3 py-2">Export SVG</button>
+      </div>
+    </div>
+  );
+};
+
+export default PlanView;
@@ -0,0 +1,53 @@
+import React from "react";
+import { POINT_LOAD_PRESETS, customPointLoad, formatQty, fromUnits, pointLoadFromPreset, toUnits, unitLabel } from "../engine/index.js";
+import { NumberField, issueAt } from "./controls.jsx";
+
+const CUSTOM = "__custom__";
+
+// User-defined point-load items (clouds, projectors, subwoofers, ...). Weight is per item.
+// issues: issuesByPath() of the zone's validation issues (counts must be whole numbers).
+const PointLoadEditor = ({ units, items, issues, onChange }) => {
+  const replace = (i, patch) => onChange(items.map((it, k) => (k === i ? { ...it, ...patch } : it)));
+  const remove = (i) => onChange(items.filter((it, k) => k !== i));
+  const add = (id) => onChange(items.concat([id === CUSTOM ? customPointLoad() : pointLoadFromPreset(id)]));
+  const num = (i, key) => (v) => replace(i, { [key]: v });
+  const qty = (i, key, kind) => (v) => replace(i, { [key]: fromUnits(kind, v, units) });
+  const at = (i, key) => issueAt(issues, "pointLoads[" + i + "]." + key, units);
+
+  return (
+    <div className="text-sm">
+      {items.length === 0 ? <div className="mb-2 rounded-lg bg-gray-50 p-2 text-gray-500">No point loads. Add clouds or equipment below.</div> : (
+        <table className="mb-2 w-full text-left">
+          <thead className="text-xs text-gray-500">
+            <tr><th className="py-1">Item</th><th className="py-1">Qty</th><th className="py-1">Weight ({unitLabel("lb", units)})</th><th className="py-1">Footprint ({unitLabel("ft", units)})</th><th className="py-1">Clips/item</th><th className="py-1"></th></tr>
+          </thead>
+          <tbody>
+            {items.map((it, i) => (
+              <tr key={'pl-'+i} className="border-t align-top">
+                <td className="py-1 pr-1"><input type="text" className="w-28 rounded-lg border p-2" value={it.name} onChange={(e) => replace(i, { name: e.target.value })} /></td>
+                <td className="py-1 pr-1"><NumberField label="" value={it.qty} setValue={num(i, "qty")} step={1} inputClass="w-12" issue={at(i, "qty")} /></td>
+                <td className="py-1 pr-1"><NumberField label="" value={toUnits("lb", it.weightLb, units)} setValue={qty(i, "weightLb", "lb")} step={1} inputClass="w-16" issue={at(i, "weightLb")} /></td>
+                <td className="py-1 pr-1">
+                  <span className="flex items-center gap-1">
+                    <NumberField label="" value={toUnits("ft", it.widthFt, units)} setValue={qty(i, "widthFt", "ft")} step={0.5} inputClass="w-12" issue={at(i, "widthFt")} />
+                    <span className="text-gray-400">x</span>
+                    <NumberField label="" value={toUnits("ft", it.lengthFt, units)} setValue={qty(i, "lengthFt", "ft")} step={0.5} inputClass="w-12" issue={at(i, "lengthFt")} />
+                  </span>
+                </td>
+                <td className="py-1 pr-1"><NumberField label="" value={it.clipsPerItem} setValue={num(i, "clipsPerItem")} step={1} inputClass="w-12" issue={at(i, "clipsPerItem")} /></td>
+                <td className="py-1 text-right"><button type="button" title="Remove item" onClick={() => remove(i)} className="rounded border px-2 text-rose-700">x</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <select className="rounded-lg border border-dashed p-2 text-gray-600" value="" onChange={(e) => { if (e.target.value) add(e.target.value); }}>
+        <option value="">+ Add point load...</option>
+        {POINT_LOAD_PRESETS.map(p => <option key={p.id} value={p.id}>{p.name} ({formatQty("lb", p.weightLb, units)}, {p.clipsPerItem} clips)</option>)}
+        <option value={CUSTOM}>Custom item</option>
+      </select>
+    </div>
+  );
+};
+
+export default PointLoadEditor;
@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { effectiveCapacity, formatQty, fromUnits, toUnits, unitLabel } from "../engine/index.js";
+import { newCustomProduct } from "../catalog.js";
+import { NumberField, round2 } from "./controls.jsx";
+
+// Job-level clip product picker plus an editor for the custom part of the catalog
+const ProductPanel = ({ units, catalog, customProducts, productId, onSelect, onChangeCustom }) => {
+  const [editing, setEditing] = useState(false);
+  const product = catalog.find(p => p.id === productId) || catalog[0];
+  const cap = effectiveCapacity(product);
+
+  const updateCustom = (id, patch) => onChangeCustom(customProducts.map(p => (p.id === id ? { ...p, ...patch } : p)));
+  const addCustom = () => {
+    const p = newCustomProduct(customProducts);
+    onChangeCustom(customProducts.concat([p]));
+    onSelect(p.id);
+  };
+  const removeCustom = (id) => onChangeCustom(customProducts.filter(p => p.id !== id));
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          <span className="font-medium">Clip product</span>
+          <select className="rounded-lg border p-2" value={product.id} onChange={(e) => onSelect(e.target.value)}>
+            {catalog.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </label>
+        <span className="text-gray-600">
+          Rated {formatQty("lb", product.capacityLb, units)}{product.derate !== 1 ? (" x " + round2(product.derate) + " derate") : ""} = <b className="text-gray-900">{formatQty("lb", cap, units)}/clip</b>
+        </span>
+        <button type="button" onClick={() => setEditing(!editing)} className="rounded-lg border px-3 py-2">{editing ? "Done" : "Manage products"}</button>
+      </div>
+      {editing ? (
+        <div className="mt-3 rounded-lg bg-gray-50 p-3">
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-500"><tr><th className="py-1">Name</th><th className="py-1">Rated capacity</th><th className="py-1">Derate</th><th className="py-1">Effective</th><th className="py-1"></th></tr></thead>
+            <tbody>
+              {catalog.map(p => (p.builtin ? (
+                <tr key={p.id} className="border-t">
+                  <td className="py-1">{p.name} <span className="text-xs text-gray-500">(built-in)</span></td>
+                  <td className="py-1">{formatQty("lb", p.capacityLb, units)}</td>
+                  <td className="py-1">x{round2(p.derate)}</td>
+                  <td className="py-1">{formatQty("lb", effectiveCapacity(p), units)}</td>
+                  <td className="py-1"></td>
+                </tr>
+              ) : (
+                <tr key={p.id} className="border-t">
+                  <td className="py-1"><input type="text" className="w-48 rounded-lg border p-2" value={p.name} onChange={(e) => updateCustom(p.id, { name: e.target.value })} onBlur={(e) => { if (!e.target.value.trim()) updateCustom(p.id, { name: "Custom clip" }); }} /></td>
+                  <td className="py-1"><NumberField label="" value={toUnits("lb", p.capacityLb, units)} setValue={(v) => { if (!Number.isNaN(v)) updateCustom(p.id, { capacityLb: Math.max(fromUnits("lb", v, units), 0.1) }); }} suffix={unitLabel("lb", units)} /></td>
+                  <td className="py-1" title="Multiplier on rated capacity, e.g. 0.75 for seismic"><NumberField label="" value={p.derate} setValue={(v) => { if (!Number.isNaN(v)) updateCustom(p.id, { derate: Math.min(1, Math.max(v, 0.01)) }); }} /></td>
+                  <td className="py-1">{formatQty("lb", effectiveCapacity(p), units)}</td>
+                  <td className="py-1 text-right">
+                    <button type="button" disabled={p.id === product.id} onClick={() => removeCustom(p.id)} className="text-xs text-rose-700 underline disabled:opacity-40" title={p.id === product.id ? "In use by this job" : ""}>Delete</button>
+                  </td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+          <div className="mt-2 flex items-center justify-between">
+            <button type="button" onClick={addCustom} className="rounded-lg border bg-white px-3 py-2">+ Add product</button>
+            <span className="text-xs text-gray-500">Custom products are saved in this browser and travel with saved jobs and share links.</span>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default ProductPanel;
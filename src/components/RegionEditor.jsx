@@ -0,0 +1,60 @@
+import React from "react";
+import { customRegion, formatQty, formatSpacing, fromUnits, toUnits, unitLabel } from "../engine/index.js";
+import { IssueText, NumberField, Pill, issueAt } from "./controls.jsx";
+
+// Local heavy areas within the zone, each checked at its own load. rows are evaluate()'s regionRows;
+// issues is issuesByPath() of the zone's validation issues.
+const RegionEditor = ({ units, regions, rows, issues, onChange }) => {
+  const replace = (i, patch) => onChange(regions.map((rg, k) => (k === i ? { ...rg, ...patch } : rg)));
+  const remove = (i) => onChange(regions.filter((rg, k) => k !== i));
+  const qty = (i, key, kind) => (v) => replace(i, { [key]: fromUnits(kind, v, units) });
+  const oc = (v) => formatSpacing(v, units);
+  const at = (i, key) => issueAt(issues, "regions[" + i + "]." + key, units);
+
+  return (
+    <div className="text-sm">
+      {regions.length === 0 ? <div className="mb-2 rounded-lg bg-gray-50 p-2 text-gray-500">No load regions. The whole zone is checked at the grid load.</div> : (
+        <table className="mb-2 w-full text-left">
+          <thead className="text-xs text-gray-500">
+            <tr><th className="py-1">Region</th><th className="py-1">Size ({unitLabel("ft", units)})</th><th className="py-1">Extra ({unitLabel("psf", units)})</th><th className="py-1">Items ({unitLabel("lb", units)})</th><th className="py-1">Result</th><th className="py-1"></th></tr>
+          </thead>
+          <tbody>
+            {regions.map((rg, i) => {
+              const row = rows[i];
+              return (
+                <tr key={'rg-'+i} className="border-t align-top">
+                  <td className="py-1 pr-1"><input type="text" className="w-28 rounded-lg border p-2" value={rg.name} onChange={(e) => replace(i, { name: e.target.value })} /></td>
+                  <td className="py-1 pr-1">
+                    <span className="flex items-center gap-1">
+                      <NumberField label="" value={toUnits("ft", rg.widthFt, units)} setValue={qty(i, "widthFt", "ft")} step={0.5} inputClass="w-12" issue={at(i, "widthFt")} />
+                      <span className="text-gray-400">x</span>
+                      <NumberField label="" value={toUnits("ft", rg.lengthFt, units)} setValue={qty(i, "lengthFt", "ft")} step={0.5} inputClass="w-12" issue={at(i, "lengthFt")} />
+                    </span>
+                  </td>
+                  <td className="py-1 pr-1"><NumberField label="" value={toUnits("psf", rg.extraPsf, units)} setValue={qty(i, "extraPsf", "psf")} step={0.1} inputClass="w-14" issue={at(i, "extraPsf")} /></td>
+                  <td className="py-1 pr-1"><NumberField label="" value={toUnits("lb", rg.pointLoadLb, units)} setValue={qty(i, "pointLoadLb", "lb")} step={1} inputClass="w-16" issue={at(i, "pointLoadLb")} /></td>
+                  <td className="py-1 pr-1 text-xs">
+                    {row ? (
+                      <div>
+                        <div>{formatQty("psf", row.psf, units)}</div>
+                        {row.rec
+                          ? <Pill tone={row.local ? "warning" : "success"}>{row.local ? "Tighten to " + oc(row.rec.channelOC) + " / " + oc(row.rec.clipOC) : "Field spacing OK"}</Pill>
+                          : <Pill tone="danger">No passing spacing</Pill>}
+                        {row.extraClips ? <div className="text-gray-600">+{row.extraClips} clips</div> : null}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td className="py-1 text-right"><button type="button" title="Remove region" onClick={() => remove(i)} className="rounded border px-2 text-rose-700">x</button></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <div className="mb-2"><IssueText issue={issueAt(issues, "regions", units)} /></div>
+      <button type="button" onClick={() => onChange(regions.concat([customRegion()]))} className="rounded-lg border border-dashed p-2 text-gray-600">+ Add load region</button>
+    </div>
+  );
+};
+
+export default RegionEditor;
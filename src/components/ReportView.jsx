@@ -0,0 +1,248 @@
+import React from "react";
+import { GOVERNS_LABELS, OBJECTIVE_LABELS, describeLimits, findChannel, formatQty, formatRunLength, formatSpacing, issueMessage, layoutToSvg, stepText, toUnits } from "../engine/index.js";
+import { round2 } from "./controls.jsx";
+import Assumptions from "./Assumptions.jsx";
+
+function today() {
+  const d = new Date();
+  const pad = (n) => (n < 10 ? "0" + n : String(n));
+  return d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+}
+
+function fmt(x) {
+  return isFinite(x) ? String(round2(x)) : "-";
+}
+
+const Th = ({ children, right }) => <th className={"border-b py-1 pr-2 font-medium " + (right ? "text-right" : "")}>{children}</th>;
+const Td = ({ children, right }) => <td className={"py-1 pr-2 align-top " + (right ? "text-right" : "")}>{children}</td>;
+
+const KeyValues = ({ rows }) => (
+  <table className="w-full text-left text-sm">
+    <tbody>
+      {rows.map((r, i) => (
+        <tr key={'kv-'+i} className="border-t break-inside-avoid">
+          <td className="w-1/3 py-1 pr-2 text-gray-600">{r[0]}</td>
+          <td className="py-1">{r[1]}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const H3 = ({ children }) => <h3 className="mb-1 mt-4 text-sm font-semibold uppercase tracking-wide text-gray-700">{children}</h3>;
+
+// One zone's full derivation: inputs -> layer loads -> grid psf -> every combo -> recommendation
+const ZoneReport = ({ units, zone, r, index, jobName }) => {
+  const q = (kind, v, digits) => formatQty(kind, v, units, digits);
+  const n = (kind, v) => fmt(toUnits(kind, v, units)); // bare number inside a formula
+  const oc = (v) => formatSpacing(v, units);
+  const defl = (v) => q("in", v, units === "metric" ? 1 : 3);
+  const pct = (ratio) => Math.round(ratio * 100) + "%";
+  const menu = (list) => list.slice().sort((a, b) => a - b).map(oc).join(", ");
+  const rect = zone.shape === "rect";
+  const inputs = [
+    ["Ceiling", rect
+      ? (q("ft", zone.lengthFt) + " x " + q("ft", zone.widthFt) + " = " + q("ft2", r.area) + "; channels along " + zone.channelDirection + ", " + q("in", zone.edgeOffsetIn, 0) + " edge offset")
+      : (q("ft2", r.area) + " (area only)")],
+    ["Point loads", zone.pointLoads.length ? (zone.mountMode === "dedicated" ? "Dedicated clips per item" : "Distributed over the zone") : "None"],
+    ["Misc distributed load", q("psf", zone.miscPsf)],
+    ...(r.optimizer ? [
+      ["Channel spacing", oc(r.optimizer.minChannelIn) + " to " + oc(r.optimizer.maxChannelIn) + " in steps of " + oc(r.optimizer.channelStepIn)],
+      ["Clip spacing", "On structure at multiples of " + oc(zone.structureSpacing) + ", up to " + oc(r.optimizer.maxClipIn)],
+      ["Optimized for", OBJECTIVE_LABELS[r.optimizer.objective]]
+    ] : [
+      ["Allowed channel spacings", menu(zone.allowedChannelSpacings)],
+      ["Allowed clip spacings", zone.constrainToStructure ? ("Clips on structure at " + oc(zone.structureSpacing)) : menu(zone.allowedClipSpacings)]
+    ])
+  ];
+  const gridTerms = [n("psf", r.baseAssemblyPsf) + " (assembly)"];
+  if (r.cloudAvgPsf > 0) gridTerms.push(q("lb", r.totalCloudWeight) + " / " + q("ft2", r.area) + " = " + n("psf", r.cloudAvgPsf) + " (point loads)");
+  if (zone.miscPsf) gridTerms.push(n("psf", zone.miscPsf) + " (misc)");
+  const svgSrc = r.layout ? "data:image/svg+xml;charset=utf-8," + encodeURIComponent(layoutToSvg(r.layout, { title: (jobName ? jobName + " - " : "") + zone.name, units })) : null;
+
+  return (
+    <section className={index > 0 ? "mt-8 break-before-page print:mt-0" : "mt-8"}>
+      <h2 className="border-b-2 border-gray-900 pb-1 text-lg font-semibold">Zone {index + 1}: {zone.name}</h2>
+
+      <H3>Inputs</H3>
+      <KeyValues rows={inputs} />
+
+      <H3>Assembly load</H3>
+      <table className="w-full text-left text-sm">
+        <thead className="text-gray-600"><tr><Th>Layer</Th><Th right>Thickness</Th><Th right>Weight</Th></tr></thead>
+        <tbody>
+          {r.layerRows.map((l, i) => (
+            <tr key={'rl-'+i} className="border-t break-inside-avoid"><Td>{i + 1}. {l.name}</Td><Td right>{typeof l.thicknessIn === "number" ? q("in", l.thicknessIn, units === "metric" ? 1 : 2) : "-"}</Td><Td right>{q("psf", l.psf)}</Td></tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t font-semibold"><Td>Base assembly</Td><Td></Td><Td right>{r.layerRows.map(l => n("psf", l.psf)).join(" + ") || "0"} = {q("psf", r.baseAssemblyPsf)}</Td></tr>
+        </tfoot>
+      </table>
+      <div className="mt-2 text-sm">Grid load = {gridTerms.join(" + ")} = <b>{q("psf", r.gridPsf)}</b></div>
+
+      {zone.pointLoads.length ? (
+        <React.Fragment>
+          <H3>Point loads</H3>
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-600"><tr><Th>Item</Th><Th right>Qty</Th><Th right>Weight</Th><Th right>Footprint</Th><Th right>Clips/item</Th>{zone.mountMode === "dedicated" ? <Th right>Load/clip</Th> : null}</tr></thead>
+            <tbody>
+              {zone.pointLoads.map((it, i) => {
+                const d = r.dedicatedRows[i];
+                return (
+                  <tr key={'rp-'+i} className="border-t break-inside-avoid">
+                    <Td>{it.name}</Td><Td right>{it.qty}</Td><Td right>{q("lb", it.weightLb)}</Td><Td right>{n("ft", it.widthFt)} x {q("ft", it.lengthFt)}</Td><Td right>{it.clipsPerItem}</Td>
+                    {d ? <Td right>{q("lb", d.load)} {d.pass ? "PASS x" + fmt(d.safety) : "FAIL"}</Td> : null}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </React.Fragment>
+      ) : null}
+
+      <H3>Evaluated spacing combinations</H3>
+      <table className="w-full text-left text-sm">
+        <thead className="text-gray-600"><tr><Th>Channels OC</Th><Th>Clips OC</Th><Th right>Trib. area</Th><Th right>Load/clip</Th><Th right>Capacity</Th><Th right>Deflection</Th><Th>Result</Th></tr></thead>
+        <tbody>
+          {r.combos.map((c, i) => (
+            <tr key={'rc-'+i} className={"border-t break-inside-avoid " + (r.rec === c ? "font-semibold" : "")}>
+              <Td>{oc(c.channelOC)}</Td><Td>{oc(c.clipOC)}</Td><Td right>{q("ft2", c.tribAreaFt2)}</Td><Td right>{q("lb", c.loadPerClip)}</Td><Td right>{q("lb", r.clipCap)}</Td>
+              <Td right>{c.channel ? defl(c.channel.deflectionIn) + " / " + defl(c.channel.allowableDeflectionIn) : "-"}</Td>
+              <Td>{c.pass ? ("PASS, SF x" + fmt(c.safety)) : ("FAIL (" + GOVERNS_LABELS[c.governs] + ")")}{r.rec === c ? " (recommended)" : ""}</Td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <H3>Recommendation</H3>
+      {r.rec ? (
+        <KeyValues rows={[
+          ["Spacing", "Channels " + oc(r.rec.channelOC) + " OC, clips " + oc(r.rec.clipOC) + " OC"],
+          ["Load per clip", q("ft2", r.rec.tribAreaFt2) + " x " + q("psf", r.gridPsf) + " = " + q("lb", r.rec.loadPerClip) + " <= " + q("lb", r.clipCap)],
+          ["Safety factor", "x" + fmt(r.rec.safety)],
+          ...(r.rec.channel ? [["Channel span", "Deflection " + defl(r.rec.channel.deflectionIn) + " <= " + defl(r.rec.channel.allowableDeflectionIn) + " (L/" + r.channelCheck.deflectionLimit + ", " + pct(r.rec.channel.deflectionRatio) + "); bending " + pct(r.rec.channel.bendingRatio) + " of 0.6 Fy; governed by " + GOVERNS_LABELS[r.rec.governs]]] : []),
+          ...(r.optimizer ? [["Why this spacing", describeLimits(r.rec, units)]] : []),
+          ["Clips", (r.layout ? r.estimatedClipsOnGrid + " on grid (layout)" : r.estimatedClipsOnGrid + " on grid (estimated)") + (r.regionClips ? " + " + r.regionClips + " in load regions" : "") + (r.dedicatedCloudClips ? " + " + r.dedicatedCloudClips + " dedicated" : "") + " = " + r.totalClips],
+          ["Channel", formatRunLength(r.channelLf, units)]
+        ]} />
+      ) : (
+        <div className="rounded border border-rose-300 p-2 text-sm text-rose-700">
+          {r.inputsOk ? "No passing spacing combination with the current constraints." : "Not calculated; the inputs have errors: " + r.issues.filter(i => i.level === "error").map(i => i.path + ": " + issueMessage(i, units)).join("; ") + "."}
+        </div>
+      )}
+      {r.issues.some(i => i.level === "warning") ? (
+        <div className="mt-2 rounded border border-amber-300 p-2 text-sm text-amber-800">Check: {r.issues.filter(i => i.level === "warning").map(i => i.path + ": " + issueMessage(i, units)).join("; ")}.</div>
+      ) : null}
+      {r.dedicatedOk ? null : <div className="mt-2 rounded border border-rose-300 p-2 text-sm text-rose-700">At least one dedicated point load exceeds the clip capacity.</div>}
+
+      {r.trace.length ? (
+        <React.Fragment>
+          <H3>Derivation</H3>
+          <KeyValues rows={r.trace.map(s => [s.label, stepText(s, units)])} />
+        </React.Fragment>
+      ) : null}
+
+      {r.regionRows.length ? (
+        <React.Fragment>
+          <H3>Load regions</H3>
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-600"><tr><Th>Region</Th><Th right>Area</Th><Th right>Load</Th><Th>Spacing</Th><Th right>Load/clip</Th><Th right>Added clips</Th></tr></thead>
+            <tbody>
+              {r.regionRows.map((row, i) => {
+                const rg = zone.regions[i];
+                const terms = [n("psf", r.gridPsf) + " (grid)"];
+                if (rg.extraPsf) terms.push(n("psf", rg.extraPsf) + " (extra)");
+                if (rg.pointLoadLb) terms.push(q("lb", rg.pointLoadLb) + " / " + q("ft2", row.areaFt2));
+                return (
+                  <tr key={'rr-'+i} className="border-t break-inside-avoid">
+                    <Td>{row.name}</Td><Td right>{q("ft2", row.areaFt2)}</Td><Td right>{terms.join(" + ")} = {q("psf", row.psf)}</Td>
+                    <Td>{row.rec ? (oc(row.rec.channelOC) + " / " + oc(row.rec.clipOC) + " OC" + (row.local ? " (tightened)" : " (field)")) : "NO PASS"}</Td>
+                    <Td right>{row.rec ? (q("lb", row.rec.loadPerClip) + ", SF x" + fmt(row.rec.safety)) : "-"}</Td><Td right>{row.extraClips}</Td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </React.Fragment>
+      ) : null}
+      {svgSrc ? <img src={svgSrc} alt={"Plan view: " + zone.name} className="mt-3 w-full break-inside-avoid border" /> : null}
+    </section>
+  );
+};
+
+// Print-ready calculation report for the whole job. Generated in the browser; print or save as PDF.
+const ReportView = ({ units, jobName, report, onChangeReport, product, clipCap, channel, zones, zoneResults, summary, bom, onBack }) => {
+  const date = report.date || today();
+  return (
+    <div className="mx-auto max-w-4xl bg-white p-8 text-gray-900 print:max-w-none print:p-0">
+      <div className="mb-6 flex items-center justify-between rounded-lg bg-gray-50 p-3 text-sm print:hidden">
+        <button type="button" onClick={onBack} className="rounded-lg border bg-white px-3 py-2">Back to calculator</button>
+        <span className="text-gray-600">Fill in the preparer and date, then print or save as PDF.</span>
+        <button type="button" onClick={() => window.print()} className="rounded-lg bg-gray-900 px-3 py-2 text-white">Print / Save PDF</button>
+      </div>
+
+      <header className="border-b-2 border-gray-900 pb-3">
+        <h1 className="text-2xl font-semibold">GenieClip RST Load Calculation</h1>
+        <div className="mt-2 grid grid-cols-2 gap-x-6 gap-y-1 text-sm">
+          <div><span className="text-gray-600">Job: </span><b>{jobName || "Untitled job"}</b></div>
+          <label className="flex items-center gap-1">
+            <span className="text-gray-600">Date: </span>
+            <input type="date" className="rounded border px-1 print:border-0 print:p-0" value={date} onChange={(e) => onChangeReport({ ...report, date: e.target.value })} />
+          </label>
+          <div><span className="text-gray-600">Clip product: </span>{product.name}, {formatQty("lb", clipCap, units)}/clip{product.derate !== 1 ? (" (rated " + formatQty("lb", product.capacityLb, units) + " x " + round2(product.derate) + ")") : ""}</div>
+          <label className="flex items-center gap-1">
+            <span className="text-gray-600">Prepared by: </span>
+            <input type="text" className="flex-1 rounded border px-1 print:border-0 print:p-0" value={report.preparer} placeholder="Name, company" onChange={(e) => onChangeReport({ ...report, preparer: e.target.value })} />
+          </label>
+          <div><span className="text-gray-600">Furring channel: </span>{findChannel(channel.channelId).name}, deflection limit L/{channel.deflectionLimit}</div>
+        </div>
+      </header>
+
+      <section className="mt-4">
+        <H3>Project summary</H3>
+        <table className="w-full text-left text-sm">
+          <thead className="text-gray-600"><tr><Th>Zone</Th><Th right>Area</Th><Th right>Grid load</Th><Th>Spacing (ch / clip)</Th><Th right>Clips</Th><Th right>Channel</Th></tr></thead>
+          <tbody>
+            {zones.map((z, i) => {
+              const r = zoneResults[i];
+              return (
+                <tr key={'rs-'+i} className="border-t break-inside-avoid">
+                  <Td>{z.name}</Td><Td right>{formatQty("ft2", r.area, units)}</Td><Td right>{formatQty("psf", r.gridPsf, units)}</Td>
+                  <Td>{r.rec ? (formatSpacing(r.rec.channelOC, units) + " / " + formatSpacing(r.rec.clipOC, units) + " OC") : (r.inputsOk ? "NO PASS" : "INVALID INPUTS")}{r.dedicatedOk ? "" : "; point load over capacity"}{r.regionsOk ? "" : "; load region fails"}</Td>
+                  <Td right>{r.totalClips}</Td><Td right>{formatRunLength(r.channelLf, units)}</Td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot>
+            <tr className="border-t font-semibold"><Td>Total</Td><Td></Td><Td></Td><Td>{summary.failingZones ? summary.failingZones + " zone(s) failing" : ""}</Td><Td right>{summary.totalClips}</Td><Td right>{formatRunLength(summary.totalChannelLf, units)}</Td></tr>
+          </tfoot>
+        </table>
+      </section>
+
+      {zones.map((z, i) => <ZoneReport key={'zr-'+i} units={units} zone={z} r={zoneResults[i]} index={i} jobName={jobName} />)}
+
+      <section className="mt-8 break-before-page print:mt-0">
+        <h2 className="border-b-2 border-gray-900 pb-1 text-lg font-semibold">Bill of materials</h2>
+        <table className="mt-2 w-full text-left text-sm">
+          <thead className="text-gray-600"><tr><Th>Item</Th><Th right>Qty</Th><Th>Unit</Th><Th right>Unit price</Th><Th right>Extended</Th></tr></thead>
+          <tbody>
+            {bom.lines.map((l) => (
+              <tr key={'rb-'+l.key} className="border-t break-inside-avoid">
+                <Td>{l.name}{l.note ? <div className="text-xs text-gray-500">{l.note}</div> : null}</Td><Td right>{round2(l.qty)}</Td><Td>{l.unit}</Td><Td right>${l.unitPrice.toFixed(2)}</Td><Td right>${l.extended.toFixed(2)}</Td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t font-semibold"><Td>Material total</Td><Td></Td><Td></Td><Td></Td><Td right>${bom.totalCost.toFixed(2)}</Td></tr>
+          </tfoot>
+        </table>
+      </section>
+
+      <Assumptions units={units} product={product} clipCap={clipCap} channel={channel} className="mt-8 border-t pt-2 text-xs text-gray-600" />
+    </div>
+  );
+};
+
+export default ReportView;
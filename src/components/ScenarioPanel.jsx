@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from "react";
+import { compareScenarios, formatQty, formatSpacing, pickInputs, scenarioFromZone } from "../engine/index.js";
+import { Pill, money, round2 } from "./controls.jsx";
+
+// Signed change next to a differing value: "+0.5 psf", "-12"
+function signed(text, delta) {
+  return (delta > 0 ? "+" : "") + text;
+}
+
+// What-if scenarios for the active zone, side by side with its current inputs.
+// settings: { clipCap, channelCheck, bom } as used for the zone itself.
+const ScenarioPanel = ({ units, zone, settings, onChange, onLoad }) => {
+  const [name, setName] = useState("");
+  const [baseIndex, setBaseIndex] = useState(0); // 0 = current inputs, i + 1 = scenario i
+  const scenarios = zone.scenarios;
+  const base = Math.min(baseIndex, scenarios.length);
+
+  const columns = useMemo(() => [{ name: "Current inputs", inputs: pickInputs(zone) }].concat(scenarios), [zone, scenarios]);
+  const rows = useMemo(() => compareScenarios(columns, base, settings), [columns, base, settings]);
+
+  const q = (kind, v, digits) => formatQty(kind, v, units, digits);
+  const oc = (v) => formatSpacing(v, units);
+  const rename = (i, v) => onChange(scenarios.map((sc, k) => (k === i ? { ...sc, name: v } : sc)));
+  const remove = (i) => {
+    onChange(scenarios.filter((sc, k) => k !== i));
+    if (base === i + 1) setBaseIndex(0);
+    else if (base > i + 1) setBaseIndex(base - 1);
+  };
+  const add = () => {
+    onChange(scenarios.concat([scenarioFromZone(zone, name.trim() || ("Scenario " + (scenarios.length + 1)))]));
+    setName("");
+  };
+  const load = (sc) => {
+    if (!window.confirm("Replace this zone's current inputs with \"" + sc.name + "\"? Save them as a scenario first to keep them.")) return;
+    onLoad(JSON.parse(JSON.stringify(sc.inputs)));
+  };
+
+  // One comparison row: cells differing from the baseline are highlighted and show the change
+  const cell = (row, changed, text, deltaText) => (
+    <td className={"py-1 pr-2 " + (changed && !row.baseline ? "bg-amber-50 font-medium" : "")}>
+      {text}
+      {changed && !row.baseline && deltaText ? <div className="text-xs text-amber-800">{deltaText}</div> : null}
+    </td>
+  );
+  const anyCost = rows.some(r => r.cost > 0);
+
+  return (
+    <div className="text-sm">
+      <div className="mb-2 flex flex-wrap items-center gap-2">
+        <input type="text" className="w-56 rounded-lg border p-2" value={name} placeholder={"Scenario " + (scenarios.length + 1)} onChange={(e) => setName(e.target.value)} />
+        <button type="button" onClick={add} className="rounded-lg border px-3 py-2">Save current inputs as scenario</button>
+        <span className="text-xs text-gray-500">Then change the inputs above; the table compares every scenario against the baseline.</span>
+      </div>
+      {scenarios.length === 0 ? <div className="rounded-lg bg-gray-50 p-2 text-gray-500">No scenarios yet.</div> : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="align-top text-xs text-gray-500">
+              <tr>
+                <th className="py-1 pr-2"></th>
+                {rows.map((row, i) => (
+                  <th key={'sh-'+i} className="py-1 pr-2 font-normal">
+                    {i === 0 ? <div className="py-2 font-medium text-gray-900">{row.name}</div> : (
+                      <input type="text" className="w-32 rounded-lg border p-1 text-gray-900" value={scenarios[i - 1].name} onChange={(e) => rename(i - 1, e.target.value)} />
+                    )}
+                    <label className="mt-1 flex items-center gap-1">
+                      <input type="radio" name={"baseline-" + zone.id} checked={base === i} onChange={() => setBaseIndex(i)} />
+                      <span>Baseline</span>
+                    </label>
+                    {i > 0 ? (
+                      <div className="mt-1 flex gap-2">
+                        <button type="button" onClick={() => load(scenarios[i - 1])} className="underline">Load</button>
+                        <button type="button" onClick={() => remove(i - 1)} className="text-rose-700 underline">Delete</button>
+                      </div>
+                    ) : null}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="align-top">
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Changed inputs</td>
+                {rows.map((row, i) => <td key={'sc-'+i} className="py-1 pr-2 text-xs text-gray-600">{row.baseline ? "(baseline)" : (row.changes.join(", ") || "none")}</td>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Grid load</td>
+                {rows.map((row, i) => <React.Fragment key={'sg-'+i}>{cell(row, row.diff.gridPsf, q("psf", row.gridPsf), row.delta.gridPsf !== null ? signed(q("psf", row.delta.gridPsf), row.delta.gridPsf) : null)}</React.Fragment>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Spacing</td>
+                {rows.map((row, i) => <React.Fragment key={'ss-'+i}>{cell(row, row.diff.spacing, row.channelOC !== null ? oc(row.channelOC) + " / " + oc(row.clipOC) + " OC" : (row.inputsOk ? "No pass" : "Invalid inputs"), null)}</React.Fragment>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Safety factor</td>
+                {rows.map((row, i) => <React.Fragment key={'sf-'+i}>{cell(row, row.diff.safety, row.safety !== null ? "x" + round2(row.safety) : "-", row.delta.safety !== null ? signed(String(round2(row.delta.safety)), row.delta.safety) : null)}</React.Fragment>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Clips</td>
+                {rows.map((row, i) => <React.Fragment key={'sn-'+i}>{cell(row, row.diff.clips, String(row.clips), signed(String(row.delta.clips), row.delta.clips))}</React.Fragment>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Material cost</td>
+                {rows.map((row, i) => <React.Fragment key={'so-'+i}>{cell(row, row.diff.cost, money(row.cost), (row.delta.cost < 0 ? "-" : "+") + money(Math.abs(row.delta.cost)))}</React.Fragment>)}
+              </tr>
+              <tr className="border-t">
+                <td className="py-1 pr-2 text-gray-600">Status</td>
+                {rows.map((row, i) => <td key={'sp-'+i} className="py-1 pr-2">{row.pass ? <Pill tone="success">PASS</Pill> : <Pill tone="danger">FAIL</Pill>}</td>)}
+              </tr>
+            </tbody>
+          </table>
+          {anyCost ? null : <div className="mt-1 text-xs text-gray-500">Costs use the unit prices in the bill of materials (none set yet).</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import { formatSpacing, fromUnits, unitLabel } from "../engine/index.js";
+
+// Toggleable spacing menu (presets plus any allowed value) with a box for adding custom spacings.
+// Values are inches; the labels and the custom entry use the display units.
+const SpacingChips = ({ units, presets, allowed, onChange, disabled }) => {
+  const [custom, setCustom] = useState("");
+  const menu = Array.from(new Set(presets.concat(allowed))).sort((a, b) => a - b);
+  const toggle = (v, on) => onChange(on ? allowed.concat([v]) : allowed.filter(x => x !== v));
+  const addCustom = () => {
+    const n = Number(custom.replace(/,/g, "").trim());
+    if (!(n > 0)) return;
+    const v = fromUnits("in", n, units);
+    if (!allowed.some(x => Math.abs(x - v) < 1e-9)) onChange(allowed.concat([v]));
+    setCustom("");
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {menu.map((v) => (
+        <label key={'sp-'+v} className={(!disabled && allowed.includes(v) ? "bg-gray-900 text-white" : "bg-white") + " flex items-center gap-2 rounded-full border px-3 py-1"}>
+          <input type="checkbox" className="hidden" disabled={disabled} checked={allowed.includes(v)} onChange={(e) => toggle(v, e.target.checked)} />
+          <span>{formatSpacing(v, units)}</span>
+        </label>
+      ))}
+      {disabled ? null : (
+        <span className="flex items-center gap-1">
+          <input type="text" inputMode="decimal" className="w-16 rounded-full border px-2 py-1" value={custom} placeholder="other" onChange={(e) => setCustom(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") addCustom(); }} />
+          <button type="button" onClick={addCustom} className="rounded-full border px-2 py-1 text-gray-600" title={"Add a custom spacing (" + unitLabel("in", units) + ")"}>+</button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SpacingChips;
@@ -0,0 +1,109 @@
+import React from "react";
+import { issueMessage, stepText } from "../engine/index.js";
+
+// Shared presentational controls and formatting helpers used across panels
+
+// -----------------------------
+// Formatting helpers
+// -----------------------------
+export function round2(x) { return Math.round(x * 100) / 100; }
+export function money(x) { return "$" + x.toFixed(2); }
+
+// Inline message for one input from evaluate()'s issues (see engine/validate.js), or null.
+// byPath is issuesByPath(result.issues); path is the job-file path ("pointLoads[0].qty").
+export function issueAt(byPath, path, units) {
+  const issue = byPath && byPath[path];
+  return issue ? { level: issue.level, text: issueMessage(issue, units) } : null;
+}
+
+export const IssueText = ({ issue }) => (
+  issue ? <span className={"text-xs " + (issue.level === "error" ? "text-rose-700" : "text-amber-700")}>{issue.text}</span> : null
+);
+
+// -----------------------------
+// Small presentational components (top-level so they don't remount on each render)
+// -----------------------------
+export const Pill = ({ children, tone }) => {
+  const styles = {
+    success: "bg-green-100 text-green-700",
+    warning: "bg-amber-100 text-amber-800",
+    danger: "bg-rose-100 text-rose-700",
+    neutral: "bg-gray-100 text-gray-800"
+  };
+  const cls = styles[tone || "neutral"];
+  return <span className={"inline-block rounded-full px-2 py-1 text-xs " + cls}>{children}</span>;
+};
+
+// Expandable derivation under a result: steps from evaluate()'s trace (see engine/explain.js),
+// each written out with the values substituted. Renders nothing when there are no steps.
+export const Explain = ({ steps, units, title }) => (
+  steps.length ? (
+    <details className="mt-1 text-xs text-gray-600">
+      <summary className="cursor-pointer select-none">{title || "How is this calculated?"}</summary>
+      <ul className="mt-1 space-y-0.5">
+        {steps.map((s, i) => <li key={'ex-'+i}><span className="text-gray-500">{s.label}:</span> <span className="font-mono">{stepText(s, units)}</span></li>)}
+      </ul>
+    </details>
+  ) : null
+);
+
+// Number input that preserves focus while typing and allows transient empty state.
+// issue: { level: "error" | "warning", text } shown next to the field (see issueAt). Values are passed up
+// as typed (no clamping; validation reports them); text that is not a number is passed up as NaN, so
+// the zone's validation refuses a result, and gets its own inline error here as well.
+export const NumberField = ({ label, value, setValue, step, suffix, title, inputClass, issue }) => {
+  // Use a text input with our own parsing to avoid browser quirks in some hosts (e.g., Canvas/Kajabi).
+  const [draft, setDraft] = React.useState(Number.isFinite(value) ? String(value) : "");
+  const [unparsed, setUnparsed] = React.useState(false);
+
+  React.useEffect(() => {
+    if (!Number.isFinite(value)) return; // NaN came from this field: keep the text being fixed
+    const v = String(value);
+    if (v !== draft) setDraft(v);
+    setUnparsed(false);
+  }, [value]);
+
+  const parseNumber = (txt) => {
+    // Allow blanks while typing; commit only on blur/Enter
+    if (txt === "" || txt === "-" || txt === ".") return null;
+    // Remove commas and plain spaces; accept simple decimals
+    const cleaned = txt.replace(/,/g, "").replace(/ /g, "");
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  const commit = (txt) => {
+    const n = parseNumber(txt);
+    setUnparsed(n === null);
+    setValue(n === null ? NaN : n);
+  };
+
+  const shown = unparsed ? { level: "error", text: "Enter a number" } : issue;
+  const border = shown ? (shown.level === "error" ? " border-rose-500 bg-rose-50" : " border-amber-500") : "";
+
+  return (
+    <label className="flex flex-wrap items-center gap-x-2 gap-y-1 text-sm">
+      {label ? <span className="w-48 text-gray-600" title={title || ""}>{label}</span> : null}
+      <input
+        type="text"
+        className={(inputClass || "w-36") + " rounded-lg border p-2" + border}
+        title={shown ? shown.text : undefined}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={(e) => commit(e.target.value)}
+        onKeyDown={(e) => { if (e.key === "Enter") commit(draft); }}
+        inputMode="decimal"
+        placeholder="0"
+      />
+      {suffix ? <span className="text-gray-500">{suffix}</span> : null}
+      <IssueText issue={shown} />
+    </label>
+  );
+};
+
+export const Toggle = ({ label, checked, onChange }) => (
+  <label className="flex items-center gap-3 text-sm select-none">
+    <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+    <span className="text-gray-700">{label}</span>
+  </label>
+);
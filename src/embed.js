@@ -0,0 +1,99 @@
+// Options for the embeddable widget (GenieClipCalculator.mount, see widget.jsx). They are checked
+// up front, so a typo on the host page fails at mount time instead of showing a half-configured
+// calculator. Pure JS like job.js, so it can be tested without a DOM.
+import { BUILTIN_PRODUCTS, DEFAULT_UNITS, UNIT_SYSTEMS, findProduct } from "./engine/index.js";
+import { JobError, parseJob, parseProduct } from "./job.js";
+
+// Sections a host page can hide with panels: { name: false }. The assembly inputs and the
+// recommendation are always shown.
+export const EMBED_PANELS = ["job", "product", "zones", "pointLoads", "regions", "spacing", "plan", "scenarios", "summary", "bom", "tests", "assumptions"];
+
+// theme: CSS colors / font stack applied to the calculator's own root (accent: title and active zone)
+export const THEME_KEYS = ["accent", "background", "textColor", "fontFamily"];
+
+const OPTION_KEYS = ["job", "inputs", "units", "product", "panels", "theme", "onChange", "onResult"];
+
+export class EmbedError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? "Invalid calculator options: " + errors[0] : "Invalid calculator options:\n- " + errors.join("\n- "));
+    this.name = "EmbedError";
+    this.errors = errors;
+  }
+}
+
+function isObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function checkFlags(name, raw, allowed, type, errors) {
+  if (!isObject(raw)) {
+    errors.push(name + ": expected an object");
+    return {};
+  }
+  Object.keys(raw).forEach((key) => {
+    if (!allowed.includes(key)) errors.push(name + "." + key + ": unknown (expected one of " + allowed.join(", ") + ")");
+    else if (typeof raw[key] !== type) errors.push(name + "." + key + ": expected a " + type);
+  });
+  return raw;
+}
+
+// Default clip product: a built-in product id or a product object ({ id, name, capacityLb, derate })
+function resolveProduct(raw, errors) {
+  if (typeof raw === "string") {
+    const found = findProduct(BUILTIN_PRODUCTS, raw);
+    if (!found) {
+      errors.push("product: unknown product id " + JSON.stringify(raw) + " (built-in: " + BUILTIN_PRODUCTS.map(p => p.id).join(", ") + ")");
+      return null;
+    }
+    const { builtin, ...product } = found;
+    return product;
+  }
+  return parseProduct(raw, "product", errors);
+}
+
+// options -> { job, units, product, panels, theme, onChange, onResult }.
+// job is the parsed starting job, or null for a fresh one (the app builds it in the given units);
+// a job document (options.job) or one zone's inputs (options.inputs) are read the way job files are.
+// product is the default product: it applies unless the job document names its own. Throws EmbedError.
+export function parseEmbedOptions(options) {
+  const opts = options || {};
+  const errors = [];
+  if (!isObject(opts)) throw new EmbedError(["expected an options object"]);
+  Object.keys(opts).forEach((key) => { if (!OPTION_KEYS.includes(key)) errors.push(key + ": unknown option"); });
+  if ("units" in opts && !UNIT_SYSTEMS.includes(opts.units)) errors.push("units: expected one of " + UNIT_SYSTEMS.join(", ") + ", got " + JSON.stringify(opts.units));
+  ["onChange", "onResult"].forEach((key) => { if (key in opts && typeof opts[key] !== "function") errors.push(key + ": expected a function"); });
+  const panels = {};
+  EMBED_PANELS.forEach((name) => { panels[name] = true; });
+  if ("panels" in opts) Object.assign(panels, checkFlags("panels", opts.panels, EMBED_PANELS, "boolean", errors));
+  const theme = "theme" in opts ? checkFlags("theme", opts.theme, THEME_KEYS, "string", errors) : {};
+  const product = "product" in opts ? resolveProduct(opts.product, errors) : null;
+
+  let job = null;
+  if ("job" in opts && "inputs" in opts) errors.push("job, inputs: give one or the other");
+  else if ("job" in opts || "inputs" in opts) {
+    const key = "job" in opts ? "job" : "inputs";
+    if (!isObject(opts[key])) errors.push(key + ": expected an object");
+    else {
+      const doc = key === "job" ? { ...opts.job } : { zones: [opts.inputs] };
+      if (!("units" in doc) && UNIT_SYSTEMS.includes(opts.units)) doc.units = opts.units;
+      if (!("product" in doc) && !("clipCap" in doc) && product) doc.product = product;
+      try {
+        job = parseJob(doc);
+      } catch (err) {
+        if (!(err instanceof JobError)) throw err;
+        err.errors.forEach((e) => errors.push(key + ": " + e));
+      }
+    }
+  }
+  if (errors.length) throw new EmbedError(errors);
+
+  return {
+    job,
+    units: job ? job.units : (opts.units || DEFAULT_UNITS),
+    product,
+    panels,
+    theme,
+    onChange: opts.onChange || null,
+    onResult: opts.onResult || null
+  };
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { EMBED_PANELS, EmbedError, parseEmbedOptions } from "./embed.js";
+import { DEFAULT_PRODUCT_ID } from "./engine/index.js";
+
+const hanger = { id: "hanger-50", name: "Heavy hanger", capacityLb: 50, derate: 0.8 };
+
+function errorsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(EmbedError);
+    return err.errors;
+  }
+  throw new Error("expected EmbedError");
+}
+
+describe("embed options", () => {
+  it("defaults to a fresh imperial job with every panel shown", () => {
+    const embed = parseEmbedOptions();
+    expect(embed).toMatchObject({ job: null, units: "imperial", product: null, theme: {}, onChange: null, onResult: null });
+    expect(Object.keys(embed.panels)).toEqual(EMBED_PANELS);
+    expect(Object.values(embed.panels).every(Boolean)).toBe(true);
+  });
+
+  it("reads one zone's inputs the way job files are read, with the default product and units", () => {
+    const embed = parseEmbedOptions({ inputs: { area: 600, miscPsf: 1 }, units: "metric", product: DEFAULT_PRODUCT_ID, panels: { tests: false } });
+    expect(embed.job.zones).toHaveLength(1);
+    expect(embed.job.zones[0]).toMatchObject({ name: "Zone 1", area: 600, miscPsf: 1 });
+    expect(embed.job.units).toBe("metric");
+    expect(embed.job.product.id).toBe(DEFAULT_PRODUCT_ID);
+    expect(embed.product).not.toHaveProperty("builtin");
+    expect(embed.panels).toMatchObject({ tests: false, bom: true });
+  });
+
+  it("applies the default product only when the job names none", () => {
+    expect(parseEmbedOptions({ product: hanger }).product).toEqual(hanger);
+    expect(parseEmbedOptions({ job: { zones: [{}] }, product: hanger }).job.product).toEqual(hanger);
+    expect(parseEmbedOptions({ job: { clipCap: 20, zones: [{}] }, product: hanger }).job.product.capacityLb).toBe(20);
+  });
+
+  it("lists every bad option at once", () => {
+    const errors = errorsOf(() => parseEmbedOptions({
+      inputs: { area: "big" }, units: "cubits", product: "nope", panels: { tests: "no", sidebar: false }, theme: { accent: 3 }, onResult: "cart", colour: "red"
+    }));
+    expect(errors).toEqual([
+      "colour: unknown option",
+      "units: expected one of imperial, metric, got \"cubits\"",
+      "onResult: expected a function",
+      "panels.tests: expected a boolean",
+      "panels.sidebar: unknown (expected one of " + EMBED_PANELS.join(", ") + ")",
+      "theme.accent: expected a string",
+      "product: unknown product id \"nope\" (built-in: " + DEFAULT_PRODUCT_ID + ")",
+      "inputs: zones[0].area: expected a number, got \"big\""
+    ]);
+    expect(errorsOf(() => parseEmbedOptions({ job: { zones: [{}] }, inputs: {} }))).toEqual(["job, inputs: give one or the other"]);
+  });
+});
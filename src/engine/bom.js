@@ -0,0 +1,115 @@
+// Bill of materials and material cost from evaluated zones.
+// Counts use each zone's recommendation (clips incl. dedicated point-load clips, channel LF).
+// Waste applies to channel, screws and layer materials; the clip count is engineered and stays exact.
+import { findMaterial } from "./materials.js";
+import { formatQty, toUnits, unitLabel } from "./units.js";
+
+export function defaultBomSettings() {
+  return {
+    wastePct: 10,
+    stickLengthFt: 12, // furring channel stick length
+    spliceOverlapIn: 6, // overlap lost at each channel splice
+    screwsPerClip: 1,
+    sheetWidthFt: 4,
+    sheetLengthFt: 8,
+    prices: {} // unit price by line key, e.g. { clips: 2.1, channel: 8.5, "layer:gyp-5-8": 14 }
+  };
+}
+
+// Round a quantity up, ignoring float noise such as 100 * 1.1 = 110.00000000000001
+function ceilQty(x) {
+  return Math.ceil(x - 1e-9);
+}
+
+function layerKey(layer) {
+  return "layer:" + (layer.materialId || ("custom:" + layer.name));
+}
+
+function layerUnit(layer) {
+  const m = layer.materialId ? findMaterial(layer.materialId) : null;
+  return m ? m.unit : "sheet"; // hand-entered layers are assumed to be board or panel stock
+}
+
+// Lines for one zone: [{ key, name, qty, unit, note }]
+export function calcZoneBom(zone, result, settings) {
+  const waste = 1 + Math.max(0, settings.wastePct) / 100;
+  const lines = [];
+
+  lines.push({ key: "clips", name: "Isolation clips", qty: result.totalClips, unit: "ea", note: "" });
+
+  // Each splice eats spliceOverlapIn of a stick, so every stick covers (length - overlap) of run
+  const coverFt = Math.max(settings.stickLengthFt - settings.spliceOverlapIn / 12, 0.1);
+  const channelLf = result.channelLf * waste;
+  lines.push({ key: "channel", name: "Furring channel (" + settings.stickLengthFt + " ft sticks)", qty: channelLf > 0 ? ceilQty(channelLf / coverFt) : 0, unit: "sticks", lf: channelLf, note: "" });
+
+  lines.push({ key: "screws", name: "Clip screws", qty: ceilQty(result.totalClips * settings.screwsPerClip * waste), unit: "ea", note: "" });
+
+  const sheetFt2 = settings.sheetWidthFt * settings.sheetLengthFt;
+  // A zone with input errors has no result (see validate.js), so it orders no layer material either
+  const area = result.inputsOk === false ? 0 : Math.max(result.area, 0) * waste;
+  zone.layers.forEach((layer) => {
+    const sheet = layerUnit(layer) === "sheet";
+    lines.push({
+      key: layerKey(layer),
+      name: layer.name,
+      qty: sheet ? (sheetFt2 > 0 ? ceilQty(area / sheetFt2) : 0) : ceilQty(area),
+      unit: sheet ? "sheets" : "ft^2",
+      note: ""
+    });
+  });
+  return lines;
+}
+
+// Material cost of one zone's lines at the settings' unit prices
+export function calcZoneCost(zone, result, settings) {
+  return calcZoneBom(zone, result, settings).reduce((acc, line) => acc + line.qty * (typeof settings.prices[line.key] === "number" ? settings.prices[line.key] : 0), 0);
+}
+
+// Merge zone lines by key, then price them. Returns { lines, totalCost }.
+// Quantities are computed in internal units; with units "metric" the ft^2 lines, their unit prices
+// and the channel labels are expressed in m^2 / m / mm (prices are still stored per ft^2).
+export function calcProjectBom(zones, results, settings, units) {
+  const byKey = {};
+  const order = [];
+  zones.forEach((zone, i) => {
+    calcZoneBom(zone, results[i], settings).forEach((line) => {
+      if (!byKey[line.key]) {
+        byKey[line.key] = { ...line, qty: 0, lf: 0 };
+        order.push(line.key);
+      }
+      byKey[line.key].qty += line.qty;
+      byKey[line.key].lf += line.lf || 0;
+    });
+  });
+
+  let totalCost = 0;
+  const lines = order.map((key) => {
+    const line = byKey[key];
+    const unitPrice = typeof settings.prices[key] === "number" ? settings.prices[key] : 0;
+    const extended = line.qty * unitPrice;
+    totalCost += extended;
+    if (key === "channel") {
+      const lf = units === "metric" ? ceilQty(toUnits("ft", line.lf, units)) + " m" : ceilQty(line.lf) + " LF";
+      const name = "Furring channel (" + formatQty("ft", settings.stickLengthFt, units) + " sticks)";
+      const note = lf + " incl. " + Math.round(Math.max(0, settings.wastePct)) + "% waste, " + formatQty("in", settings.spliceOverlapIn, units, 1) + " splice overlap";
+      return { key, name, qty: line.qty, unit: line.unit, unitPrice, extended, note };
+    }
+    if (line.unit === "ft^2" && units === "metric") {
+      return { key, name: line.name, qty: Math.round(toUnits("ft2", line.qty, units) * 100) / 100, unit: unitLabel("ft2", units), unitPrice: toUnits("perFt2", unitPrice, units), extended, note: line.note };
+    }
+    return { key, name: line.name, qty: line.qty, unit: line.unit, unitPrice, extended, note: line.note };
+  });
+  return { lines, totalCost };
+}
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? "\"" + s.replace(/"/g, "\"\"") + "\"" : s;
+}
+
+export function bomToCsv(bom) {
+  const rows = [["Item", "Quantity", "Unit", "Unit price", "Extended", "Notes"]];
+  bom.lines.forEach((l) => rows.push([l.name, l.qty, l.unit, l.unitPrice.toFixed(2), l.extended.toFixed(2), l.note]));
+  rows.push(["Material total", "", "", "", bom.totalCost.toFixed(2), ""]);
+  return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
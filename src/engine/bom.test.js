@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { bomToCsv, calcProjectBom, calcZoneBom, defaultBomSettings } from "./bom.js";
+import { defaultInputs, evaluate } from "./evaluate.js";
+
+function project(zones) {
+  return { zones, results: zones.map(z => evaluate(z)) };
+}
+
+describe("calcZoneBom", () => {
+  it("takes off clips, channel sticks, screws and each layer for the default zone", () => {
+    const zone = defaultInputs();
+    const lines = calcZoneBom(zone, evaluate(zone), defaultBomSettings());
+    const byKey = Object.fromEntries(lines.map(l => [l.key + "/" + l.name, l.qty]));
+    expect(byKey["clips/Isolation clips"]).toBe(100); // exact, no waste
+    expect(byKey["channel/Furring channel (12 ft sticks)"]).toBe(39); // 400 LF x 1.1 / 11.5 ft per stick
+    expect(byKey["screws/Clip screws"]).toBe(110);
+    expect(lines.filter(l => l.key === "layer:gyp-5-8").map(l => l.qty)).toEqual([14, 14]); // 440 ft^2 / 32
+    expect(lines.find(l => l.key === "layer:insulation")).toMatchObject({ qty: 440, unit: "ft^2" });
+  });
+
+  it("counts no clips or channel when nothing passes", () => {
+    const zone = { ...defaultInputs(), allowedChannelSpacings: [24], allowedClipSpacings: [48] };
+    const lines = calcZoneBom(zone, evaluate(zone), defaultBomSettings());
+    expect(lines.find(l => l.key === "clips").qty).toBe(0);
+    expect(lines.find(l => l.key === "channel").qty).toBe(0);
+  });
+
+  it("takes off nothing for a zone whose inputs have errors", () => {
+    const zone = { ...defaultInputs(), shape: "rect", widthFt: NaN };
+    const lines = calcZoneBom(zone, evaluate(zone), defaultBomSettings());
+    expect(lines.every(l => l.qty === 0)).toBe(true);
+  });
+});
+
+describe("calcProjectBom", () => {
+  it("merges like lines across zones and prices them", () => {
+    const { zones, results } = project([defaultInputs(), { ...defaultInputs(), area: 100 }]);
+    const settings = { ...defaultBomSettings(), wastePct: 0, prices: { clips: 2, "layer:gyp-5-8": 15 } };
+    const bom = calcProjectBom(zones, results, settings);
+    const clips = bom.lines.find(l => l.key === "clips");
+    expect(clips.qty).toBe(results[0].totalClips + results[1].totalClips);
+    expect(clips.extended).toBe(clips.qty * 2);
+    const gyp = bom.lines.find(l => l.key === "layer:gyp-5-8");
+    expect(gyp.qty).toBe(2 * 13 + 2 * 4); // 400/32 -> 13 and 100/32 -> 4 sheets per layer
+    expect(bom.totalCost).toBe(clips.extended + gyp.extended);
+  });
+
+  it("keeps hand-entered layers separate by name", () => {
+    const zone = { ...defaultInputs(), layers: [{ materialId: null, name: "Panel A", thicknessIn: null, psf: 1 }, { materialId: null, name: "Panel B", thicknessIn: null, psf: 1 }] };
+    const { zones, results } = project([zone]);
+    const names = calcProjectBom(zones, results, defaultBomSettings()).lines.map(l => l.name);
+    expect(names).toContain("Panel A");
+    expect(names).toContain("Panel B");
+  });
+
+  it("expresses area lines and channel labels in metric without changing the cost", () => {
+    const { zones, results } = project([defaultInputs()]);
+    const settings = { ...defaultBomSettings(), prices: { "layer:insulation": 0.5 } };
+    const imperial = calcProjectBom(zones, results, settings);
+    const metric = calcProjectBom(zones, results, settings, "metric");
+    const insul = metric.lines.find(l => l.key === "layer:insulation");
+    expect(insul).toMatchObject({ qty: 40.88, unit: "m^2" }); // 440 ft^2
+    expect(insul.unitPrice).toBeCloseTo(5.38, 2); // $0.50/ft^2 per m^2
+    expect(metric.lines.find(l => l.key === "channel")).toMatchObject({ name: "Furring channel (3.66 m sticks)", note: "135 m incl. 10% waste, 152.4 mm splice overlap" });
+    expect(metric.totalCost).toBe(imperial.totalCost);
+  });
+});
+
+describe("bomToCsv", () => {
+  it("writes a header, one row per line and a total, quoting cells that need it", () => {
+    const csv = bomToCsv({
+      lines: [{ name: "Channel, 25 ga", qty: 3, unit: "sticks", unitPrice: 8.5, extended: 25.5, note: "36 LF \"approx\"" }],
+      totalCost: 25.5
+    });
+    expect(csv.split("\n")).toEqual([
+      "Item,Quantity,Unit,Unit price,Extended,Notes",
+      "\"Channel, 25 ga\",3,sticks,8.50,25.50,\"36 LF \"\"approx\"\"\"",
+      "Material total,,,,25.50,",
+      ""
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+// Core GenieClip load math. Pure functions only: no React, no DOM.
+// All lengths are inches OC, areas ft^2, loads lb and psf (see units.js for metric display).
+import { IN2_PER_FT2 } from "./units.js";
+import { calcChannelSpan } from "./channels.js";
+
+// Sum of the layer stack; excludes misc, which is handled separately as distributed psf
+export function calcBaseAssemblyPsf(layers) {
+  let total = 0;
+  for (let i = 0; i < layers.length; i++) total += layers[i].psf;
+  return total;
+}
+
+// Per-layer weights and each layer's share of the assembly
+export function calcLayerBreakdown(layers) {
+  const total = calcBaseAssemblyPsf(layers);
+  return layers.map(l => ({ name: l.name, thicknessIn: l.thicknessIn, psf: l.psf, share: total > 0 ? l.psf / total : 0 }));
+}
+
+export function calcCloudAvgPsf(mountMode, areaFt2, totalCloudWeightLb) {
+  if (mountMode === "distributed" && areaFt2 > 0) return totalCloudWeightLb / areaFt2;
+  return 0;
+}
+
+// One spacing combination checked at a given psf. The clip must carry its tributary load; with a
+// channelCheck ({ channelId, deflectionLimit }) the channel span between clips must also pass bending
+// and deflection. governs names the criterion with the highest demand / capacity ratio (utilization):
+// "clip" | "deflection" | "bending" (on a FAIL, the reason it fails).
+export function checkCombo(channelOC, clipOC, psf, clipCap, channelCheck) {
+  const tribAreaFt2 = (channelOC * clipOC) / IN2_PER_FT2;
+  const loadPerClip = tribAreaFt2 * psf;
+  const clipPass = isFinite(loadPerClip) && loadPerClip <= clipCap + 1e-9;
+  const safety = isFinite(loadPerClip) && loadPerClip > 0 ? (clipCap / loadPerClip) : Infinity;
+  const channel = channelCheck ? calcChannelSpan(channelOC, clipOC, psf, channelCheck) : null;
+  let governs = "clip";
+  let ratio = clipCap > 0 ? loadPerClip / clipCap : Infinity;
+  if (channel && channel.deflectionRatio > ratio) { governs = "deflection"; ratio = channel.deflectionRatio; }
+  if (channel && channel.bendingRatio > ratio) { governs = "bending"; ratio = channel.bendingRatio; }
+  return { channelOC, clipOC, tribAreaFt2, loadPerClip, pass: clipPass && (!channel || channel.pass), clipPass, safety, channel, governs, utilization: ratio };
+}
+
+export function calcCombos(params) {
+  const { gridPsf, allowedChannelSpacings, allowedClipSpacings, constrainToStructure, structureSpacing, clipCap, channelCheck } = params;
+  const channels = Array.from(new Set(allowedChannelSpacings)).sort((a, b) => a - b);
+  const clips = constrainToStructure ? [structureSpacing] : Array.from(new Set(allowedClipSpacings)).sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i < channels.length; i++) {
+    const ch = channels[i];
+    for (let j = 0; j < clips.length; j++) {
+      out.push(checkCombo(ch, clips[j], gridPsf, clipCap, channelCheck));
+    }
+  }
+  out.sort((a, b) => (b.channelOC * b.clipOC) - (a.channelOC * a.clipOC));
+  return out;
+}
+
+export function firstPassing(combos) {
+  for (let k = 0; k < combos.length; k++) if (combos[k].pass) return combos[k];
+  return null;
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { calcBaseAssemblyPsf, calcCombos, calcLayerBreakdown, firstPassing } from "./calc.js";
+import { evaluate } from "./evaluate.js";
+
+const spacing = fc.integer({ min: 4, max: 72 });
+const spacingMenu = fc.uniqueArray(spacing, { minLength: 1, maxLength: 6 });
+
+const inputs = fc.record({
+  area: fc.double({ min: 1, max: 5000, noNaN: true }),
+  layers: fc.array(fc.record({ name: fc.constant("layer"), thicknessIn: fc.constant(null), psf: fc.double({ min: 0, max: 5, noNaN: true }) }), { maxLength: 6 }),
+  miscPsf: fc.double({ min: 0, max: 5, noNaN: true }),
+  mountMode: fc.constantFrom("distributed", "dedicated"),
+  pointLoads: fc.array(fc.record({
+    name: fc.constant("item"),
+    qty: fc.integer({ min: 0, max: 20 }),
+    weightLb: fc.double({ min: 0, max: 200, noNaN: true }),
+    widthFt: fc.constant(4),
+    lengthFt: fc.constant(4),
+    clipsPerItem: fc.integer({ min: 1, max: 8 })
+  }), { maxLength: 4 }),
+  allowedChannelSpacings: spacingMenu,
+  allowedClipSpacings: spacingMenu,
+  clipCap: fc.double({ min: 5, max: 100, noNaN: true })
+});
+
+describe("layer stack", () => {
+  it("sums layer weights and reports each layer's share", () => {
+    const layers = [{ name: "OSB", psf: 2.7 }, { name: "gyp", psf: 2.5 }, { name: "gyp", psf: 2.5 }, { name: "insul", psf: 0.2 }];
+    expect(calcBaseAssemblyPsf(layers)).toBeCloseTo(7.9, 10);
+    const rows = calcLayerBreakdown(layers);
+    expect(rows.map(r => r.psf)).toEqual([2.7, 2.5, 2.5, 0.2]);
+    expect(rows.reduce((acc, r) => acc + r.share, 0)).toBeCloseTo(1, 10);
+  });
+
+  it("handles an empty stack", () => {
+    expect(calcBaseAssemblyPsf([])).toBe(0);
+    expect(calcLayerBreakdown([])).toEqual([]);
+  });
+});
+
+describe("calcCombos properties", () => {
+  it("marks a combo passing exactly when its load fits the clip capacity", () => {
+    fc.assert(fc.property(fc.double({ min: 0, max: 30, noNaN: true }), spacingMenu, spacingMenu, (gridPsf, chs, cls) => {
+      const combos = calcCombos({ gridPsf, allowedChannelSpacings: chs, allowedClipSpacings: cls, constrainToStructure: false, structureSpacing: 48, clipCap: 36 });
+      expect(combos).toHaveLength(chs.length * cls.length);
+      for (const c of combos) expect(c.pass).toBe(c.loadPerClip <= 36);
+    }));
+  });
+
+  it("sorts combos from widest to densest spacing product", () => {
+    fc.assert(fc.property(spacingMenu, spacingMenu, (chs, cls) => {
+      const combos = calcCombos({ gridPsf: 7.9, allowedChannelSpacings: chs, allowedClipSpacings: cls, constrainToStructure: false, structureSpacing: 48, clipCap: 36 });
+      for (let i = 1; i < combos.length; i++) {
+        expect(combos[i - 1].channelOC * combos[i - 1].clipOC).toBeGreaterThanOrEqual(combos[i].channelOC * combos[i].clipOC);
+      }
+    }));
+  });
+});
+
+describe("evaluate properties", () => {
+  it("never recommends a combo whose load per clip exceeds the clip capacity", () => {
+    fc.assert(fc.property(inputs, (cfg) => {
+      const r = evaluate(cfg);
+      if (r.rec) {
+        expect(r.rec.loadPerClip).toBeLessThanOrEqual(cfg.clipCap);
+        expect(r.rec.safety).toBeGreaterThanOrEqual(1);
+      }
+    }));
+  });
+
+  it("recommends the widest passing combo", () => {
+    fc.assert(fc.property(inputs, (cfg) => {
+      const r = evaluate(cfg);
+      const widest = r.combos.filter(c => c.pass).reduce((m, c) => Math.max(m, c.channelOC * c.clipOC), -Infinity);
+      if (r.rec) expect(r.rec.channelOC * r.rec.clipOC).toBe(widest);
+      else expect(r.combos.some(c => c.pass)).toBe(false);
+    }));
+  });
+
+  it("never tightens the recommendation when the spacing menus are widened", () => {
+    fc.assert(fc.property(inputs, spacingMenu, spacingMenu, (cfg, extraCh, extraCl) => {
+      const narrow = evaluate(cfg);
+      const wide = evaluate({
+        ...cfg,
+        allowedChannelSpacings: cfg.allowedChannelSpacings.concat(extraCh),
+        allowedClipSpacings: cfg.allowedClipSpacings.concat(extraCl)
+      });
+      if (!narrow.rec) return;
+      expect(wide.rec).not.toBeNull();
+      expect(wide.rec.channelOC * wide.rec.clipOC).toBeGreaterThanOrEqual(narrow.rec.channelOC * narrow.rec.clipOC);
+    }));
+  });
+
+  it("returns null from firstPassing only when no combo passes", () => {
+    fc.assert(fc.property(fc.array(fc.boolean()), (flags) => {
+      const combos = flags.map(pass => ({ pass }));
+      expect(firstPassing(combos) === null).toBe(!flags.includes(true));
+    }));
+  });
+});
@@ -0,0 +1,60 @@
+// Furring channel bending and deflection between clips. The channel is treated as a beam continuous
+// over three or more clips (span = clip spacing) carrying the ceiling load of its own strip
+// (w = psf x channel spacing): max moment 0.1 wL^2, max deflection 0.0069 wL^4 / EI.
+// Allowable bending stress is 0.6 Fy. Section properties are typical published values per gauge;
+// verify against the manufacturer's data for the channel actually specified.
+import { IN2_PER_FT2 } from "./units.js";
+
+export const E_STEEL_PSI = 29500000;
+export const DEFLECTION_LIMITS = [360, 240]; // L/360 (plaster, stiff finishes) or L/240
+export const MOMENT_COEF = 0.1;
+export const DEFLECTION_COEF = 0.0069;
+
+export const DEFAULT_CHANNEL_ID = "dwfc-25";
+
+// What a combo's governs field names (see checkCombo in calc.js)
+export const GOVERNS_LABELS = { clip: "clip load", deflection: "channel deflection", bending: "channel bending" };
+
+// ixIn4: moment of inertia, sxIn3: section modulus, fyPsi: yield strength
+export const CHANNEL_CATALOG = [
+  { id: DEFAULT_CHANNEL_ID, name: "7/8 in furring channel, 25 ga", thicknessIn: 0.0179, ixIn4: 0.0091, sxIn3: 0.0181, fyPsi: 33000 },
+  { id: "dwfc-20", name: "7/8 in furring channel, 20 ga", thicknessIn: 0.0329, ixIn4: 0.0165, sxIn3: 0.0329, fyPsi: 33000 },
+  { id: "hat-150-20", name: "1-1/2 in hat channel, 20 ga", thicknessIn: 0.0329, ixIn4: 0.0592, sxIn3: 0.0701, fyPsi: 33000 }
+];
+
+export function findChannel(id) {
+  for (let i = 0; i < CHANNEL_CATALOG.length; i++) if (CHANNEL_CATALOG[i].id === id) return CHANNEL_CATALOG[i];
+  return null;
+}
+
+// Job-level channel choice: { channelId, deflectionLimit } (limit is the n in L/n)
+export function defaultChannelCheck() {
+  return { channelId: DEFAULT_CHANNEL_ID, deflectionLimit: 360 };
+}
+
+// Bending and deflection of one channel span. Ratios are demand / allowable (<= 1 passes).
+export function calcChannelSpan(channelOC, clipOC, psf, check) {
+  const section = findChannel(check.channelId) || findChannel(DEFAULT_CHANNEL_ID);
+  const lineLoadPli = (psf * channelOC) / IN2_PER_FT2; // lb per inch of channel
+  const L = clipOC;
+  const deflectionIn = (DEFLECTION_COEF * lineLoadPli * Math.pow(L, 4)) / (E_STEEL_PSI * section.ixIn4);
+  const allowableDeflectionIn = L / check.deflectionLimit;
+  const stressPsi = (MOMENT_COEF * lineLoadPli * L * L) / section.sxIn3;
+  const allowableStressPsi = 0.6 * section.fyPsi;
+  const deflectionRatio = deflectionIn / allowableDeflectionIn;
+  const bendingRatio = stressPsi / allowableStressPsi;
+  return {
+    lineLoadPli, deflectionIn, allowableDeflectionIn, stressPsi, allowableStressPsi, deflectionRatio, bendingRatio,
+    pass: deflectionRatio <= 1 + 1e-9 && bendingRatio <= 1 + 1e-9
+  };
+}
+
+// Widest channel spacing whose span at clipOC still passes bending and deflection, and which one limits it
+export function maxChannelSpacing(clipOC, psf, check) {
+  if (!(psf > 0)) return { channelIn: Infinity, limit: null };
+  // Both ratios scale linearly with channel spacing, so one trial span gives the maximum directly
+  const trial = calcChannelSpan(1, clipOC, psf, check);
+  const byDeflection = 1 / trial.deflectionRatio;
+  const byBending = 1 / trial.bendingRatio;
+  return byDeflection <= byBending ? { channelIn: byDeflection, limit: "deflection" } : { channelIn: byBending, limit: "bending" };
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { calcChannelSpan, defaultChannelCheck, findChannel, maxChannelSpacing } from "./channels.js";
+import { calcCombos, checkCombo } from "./calc.js";
+import { evaluate } from "./evaluate.js";
+
+const L360 = defaultChannelCheck();
+const L240 = { ...L360, deflectionLimit: 240 };
+
+describe("channel span check", () => {
+  it("checks bending and deflection of a continuous span at the clip spacing", () => {
+    const span = calcChannelSpan(24, 48, 10, L360);
+    expect(span.lineLoadPli).toBeCloseTo(10 * 24 / 144, 10);
+    expect(span.allowableDeflectionIn).toBeCloseTo(48 / 360, 10);
+    expect(span.deflectionIn).toBeCloseTo(0.2274, 4);
+    expect(span.allowableStressPsi).toBe(0.6 * findChannel("dwfc-25").fyPsi);
+    expect(span.pass).toBe(false);
+    expect(calcChannelSpan(24, 48, 10, { channelId: "hat-150-20", deflectionLimit: 360 }).pass).toBe(true);
+  });
+
+  it("finds the widest channel spacing the span allows, and which check limits it", () => {
+    const tight = maxChannelSpacing(48, 10, L360);
+    expect(tight.limit).toBe("deflection");
+    expect(calcChannelSpan(tight.channelIn, 48, 10, L360).deflectionRatio).toBeCloseTo(1, 10);
+    expect(maxChannelSpacing(48, 10, L240).channelIn).toBeCloseTo(tight.channelIn * 1.5, 10);
+  });
+
+  it("fails combos on the governing criterion", () => {
+    expect(checkCombo(24, 48, 10, 100, L360)).toMatchObject({ clipPass: true, pass: false, governs: "deflection" });
+    expect(checkCombo(24, 48, 10, 30, L360)).toMatchObject({ clipPass: false, pass: false });
+    expect(checkCombo(24, 24, 10, 100, L360)).toMatchObject({ pass: true, governs: "clip" });
+    const combos = calcCombos({ gridPsf: 10, allowedChannelSpacings: [24], allowedClipSpacings: [48], constrainToStructure: false, structureSpacing: 48, clipCap: 100, channelCheck: null });
+    expect(combos[0]).toMatchObject({ pass: true, channel: null, governs: "clip" });
+  });
+
+  it("skips wide spans that pass on clip load but sag", () => {
+    const r = evaluate({ clipCap: 100, miscPsf: 2.1 });
+    expect(r.combos[0]).toMatchObject({ channelOC: 24, clipOC: 48, clipPass: true, pass: false, governs: "deflection" });
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([24, 36]);
+    expect(evaluate({ clipCap: 100, miscPsf: 2.1, channelCheck: null }).rec.clipOC).toBe(48);
+  });
+
+  it("holds optimizer channel spacing to what the span allows", () => {
+    const r = evaluate({ clipCap: 100, miscPsf: 2.1, spacingMode: "optimize", structureSpacing: 16 });
+    const at48 = r.combos.find(c => c.clipOC === 48);
+    expect(at48).toMatchObject({ channelOC: 14, pass: true });
+    expect(at48.limits.channel).toBe("deflection");
+  });
+});
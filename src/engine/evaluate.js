@@ -0,0 +1,157 @@
+import { calcBaseAssemblyPsf, calcCloudAvgPsf, calcCombos, calcLayerBreakdown, firstPassing } from "./calc.js";
+import { defaultLayers, hasLegacyAssembly, layersFromLegacy } from "./materials.js";
+import { calcGridLayout } from "./layout.js";
+import { defaultChannelCheck } from "./channels.js";
+import { IN2_PER_FT2 } from "./units.js";
+import { calcOptimizerCandidates, defaultOptimizer, rankCandidates } from "./optimize.js";
+import { calcZoneCost, defaultBomSettings } from "./bom.js";
+import { calcDedicatedRows, calcPointLoadTotals, hasLegacyClouds, pointLoadsFromLegacy } from "./pointLoads.js";
+import { calcRegionRows } from "./regions.js";
+import { hasErrors, validateInputs } from "./validate.js";
+import { explainZone } from "./explain.js";
+
+export const DEFAULT_CLIP_CAP = 36; // lb per GenieClip RST; callers pass effectiveCapacity(product) as clipCap
+
+// Fresh copy of the inputs a new zone starts with
+export function defaultInputs() {
+  return {
+    // Assembly
+    area: 400, // ft^2; ignored when shape is "rect" (lengthFt x widthFt is used)
+    shape: "area", // area | rect
+    lengthFt: 20,
+    widthFt: 20,
+    edgeOffsetIn: 6, // wall to first/last channel and clip
+    channelDirection: "length", // channels run along the room's length | width
+    layers: defaultLayers(), // ordered from the furring channel down to the room side
+    miscPsf: 0, // miscellaneous distributed psf (lights, speakers, etc.)
+    // Clouds and other point loads
+    mountMode: "distributed", // distributed | dedicated
+    pointLoads: [],
+    regions: [], // local heavy areas checked at their own load (see regions.js)
+    // Spacing constraints
+    spacingMode: "menu", // menu (allowed spacing lists) | optimize (clips on framing, continuous channel spacing)
+    allowedChannelSpacings: [12, 16, 24],
+    allowedClipSpacings: [24, 32, 36, 48],
+    constrainToStructure: false,
+    structureSpacing: 48,
+    optimizer: defaultOptimizer()
+  };
+}
+
+// Clip and channel counts for one combo: the real grid for rectangular rooms, area / tributary area otherwise
+function gridCounts(cfg, rect, area, combo) {
+  if (!combo || area <= 0) return { clips: 0, channelLf: 0, layout: null };
+  if (rect) {
+    const layout = calcGridLayout(cfg, combo);
+    return { clips: layout.clipCount, channelLf: layout.channelLf, layout };
+  }
+  // channel LF = ft^2 / (OC in ft)
+  return { clips: Math.ceil(area / Math.max(combo.tribAreaFt2, 1e-6)), channelLf: (area * 12.0) / combo.channelOC, layout: null };
+}
+
+// Run one zone's inputs through the full pipeline (assembly -> grid psf -> combos -> recommendation).
+// Missing inputs fall back to defaultInputs(); clipCap defaults to DEFAULT_CLIP_CAP and channelCheck
+// (channel span bending/deflection, see channels.js) to defaultChannelCheck(); pass channelCheck: null to skip it.
+// In optimize mode the combos are the optimizer's candidates, ranked by its objective; the "cost"
+// objective prices them with config.bom (bill-of-materials settings).
+// Configs using the old OSB/drywall or c4x1..c4x4 cloud fields are converted on the way in.
+// Inputs are validated first (see validate.js): with any error there is no recommendation, combo,
+// region or dedicated row (inputsOk is false and issues says why), rather than results computed from garbage.
+// trace is the step-by-step derivation of the numbers shown (see explain.js; stepText() words a step).
+export function evaluate(config) {
+  const cfg = { ...defaultInputs(), ...config };
+  if (!config.layers && hasLegacyAssembly(config)) cfg.layers = layersFromLegacy(config);
+  if (!config.pointLoads && hasLegacyClouds(config)) cfg.pointLoads = pointLoadsFromLegacy(config);
+  const clipCap = typeof cfg.clipCap === "number" ? cfg.clipCap : DEFAULT_CLIP_CAP;
+  const channelCheck = cfg.channelCheck === undefined ? defaultChannelCheck() : cfg.channelCheck;
+  const pointLoadTotals = calcPointLoadTotals(cfg.pointLoads);
+  const totalCloudWeight = pointLoadTotals.totalWeightLb;
+
+  const rect = cfg.shape === "rect";
+  const area = rect ? cfg.lengthFt * cfg.widthFt : cfg.area;
+
+  const baseAssemblyPsf = calcBaseAssemblyPsf(cfg.layers);
+  const layerRows = calcLayerBreakdown(cfg.layers);
+  const cloudAvgPsf = calcCloudAvgPsf(cfg.mountMode, area, totalCloudWeight);
+  const gridPsf = baseAssemblyPsf + cloudAvgPsf + cfg.miscPsf;
+  const issues = validateInputs(cfg, gridPsf);
+  const inputsOk = !hasErrors(issues);
+
+  const maxAreaPerClip = gridPsf > 0 ? (clipCap / gridPsf) : Infinity;
+  const maxSpacingProduct = maxAreaPerClip * IN2_PER_FT2;
+
+  const optimizer = cfg.spacingMode === "optimize" ? { ...defaultOptimizer(), ...cfg.optimizer } : null;
+  const bom = cfg.bom || defaultBomSettings();
+  // Candidate spacings at a given psf over a given footprint (the zone itself, or one load region).
+  // within (a load region's field spacing) caps the optimizer's range so its candidates nest inside the field grid.
+  const spacingCombos = (psf, countRect, countArea, within) => {
+    if (!optimizer) {
+      return calcCombos({
+        gridPsf: psf,
+        allowedChannelSpacings: cfg.allowedChannelSpacings,
+        allowedClipSpacings: cfg.allowedClipSpacings,
+        constrainToStructure: cfg.constrainToStructure,
+        structureSpacing: cfg.structureSpacing,
+        clipCap,
+        channelCheck
+      });
+    }
+    const range = within
+      ? { ...optimizer, maxChannelIn: Math.min(optimizer.maxChannelIn, within.channelOC), maxClipIn: Math.min(optimizer.maxClipIn, within.clipOC) }
+      : optimizer;
+    const candidates = calcOptimizerCandidates({ gridPsf: psf, clipCap, channelCheck, structureSpacing: cfg.structureSpacing, ...range }).map((c) => {
+      const counts = gridCounts(cfg, countRect, countArea, c);
+      const cost = optimizer.objective === "cost" ? calcZoneCost(cfg, { totalClips: counts.clips, channelLf: counts.channelLf, area: countArea }, bom) : null;
+      return { ...c, clips: counts.clips, channelLf: counts.channelLf, cost };
+    });
+    return rankCandidates(candidates, optimizer.objective);
+  };
+  const combos = inputsOk ? spacingCombos(gridPsf, rect, area) : [];
+  const rec = firstPassing(combos);
+
+  // Load regions keep the field spacing where it passes and get a tighter local spacing where it does not
+  const regionRows = !inputsOk ? [] : calcRegionRows(cfg.regions, {
+    fieldPsf: gridPsf,
+    fieldRec: rec,
+    clipCap,
+    channelCheck,
+    regionCombos: (psf, regionArea, fieldRec) => spacingCombos(psf, false, regionArea, fieldRec)
+  });
+  const regionsOk = regionRows.every(row => row.pass);
+  let regionClips = 0;
+  let regionChannelLf = 0;
+  regionRows.forEach((row) => { regionClips += row.extraClips; regionChannelLf += row.extraChannelLf; });
+
+  // Rectangular rooms get a real grid (edge rows, offsets, proportions); bare areas fall back to area / tributary area
+  const grid = gridCounts(cfg, rect, area, rec);
+  const { clips: estimatedClipsOnGrid, layout } = grid;
+  const channelLf = grid.channelLf + regionChannelLf;
+  const dedicatedCloudClips = inputsOk && cfg.mountMode === "dedicated" ? pointLoadTotals.dedicatedClips : 0;
+  const totalClips = estimatedClipsOnGrid + regionClips + dedicatedCloudClips;
+
+  // Dedicated check rows (per-clip loads); any overloaded item fails the zone
+  const dedicatedRows = inputsOk && cfg.mountMode === "dedicated" ? calcDedicatedRows(cfg.pointLoads, clipCap) : [];
+  const dedicatedOk = dedicatedRows.every(row => row.pass);
+
+  const result = {
+    clipCap, channelCheck, area, totalCloudWeight, baseAssemblyPsf, layerRows, cloudAvgPsf, gridPsf, maxAreaPerClip, maxSpacingProduct,
+    combos, rec, optimizer, estimatedClipsOnGrid, regionRows, regionClips, regionsOk, dedicatedCloudClips, totalClips, channelLf, layout,
+    dedicatedRows, dedicatedOk, issues, inputsOk
+  };
+  result.trace = explainZone(cfg, result);
+  return result;
+}
+
+// Roll zone results up into project-wide totals
+export function summarizeProject(zoneResults) {
+  let totalClips = 0;
+  let totalChannelLf = 0;
+  let failingZones = 0;
+  for (let i = 0; i < zoneResults.length; i++) {
+    const r = zoneResults[i];
+    totalClips += r.totalClips;
+    totalChannelLf += r.channelLf;
+    if (!r.rec || r.inputsOk === false || r.dedicatedOk === false || r.regionsOk === false) failingZones++;
+  }
+  return { totalClips, totalChannelLf, failingZones };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { evaluate, summarizeProject, defaultInputs, DEFAULT_CLIP_CAP } from "./index.js";
+import { SELF_TEST_CASES } from "./selfTestCases.js";
+
+describe("self-test cases", () => {
+  for (const t of SELF_TEST_CASES) {
+    it(t.name, () => {
+      expect(t.expect(evaluate(t.cfg))).toBe(true);
+    });
+  }
+});
+
+describe("evaluate", () => {
+  it("computes the default assembly at 7.9 psf and recommends 12/48", () => {
+    const r = evaluate(defaultInputs());
+    expect(r.gridPsf).toBeCloseTo(7.9, 10);
+    expect(r.clipCap).toBe(DEFAULT_CLIP_CAP);
+    expect(r.rec).toMatchObject({ channelOC: 12, clipOC: 48 });
+    expect(r.estimatedClipsOnGrid).toBe(100);
+    expect(r.channelLf).toBeCloseTo(400, 10);
+  });
+
+  it("reads legacy cloud counts as 4-clip cloud items", () => {
+    const r = evaluate({ mountMode: "dedicated", c4x2: 2, c4x4: 1 });
+    expect(r.cloudAvgPsf).toBe(0);
+    expect(r.totalCloudWeight).toBe(120);
+    expect(r.dedicatedCloudClips).toBe(12);
+    expect(r.totalClips).toBe(r.estimatedClipsOnGrid + 12);
+    expect(r.dedicatedRows.every(row => row.pass)).toBe(true);
+  });
+
+  it("smears point loads over the area in distributed mode", () => {
+    const r = evaluate({ area: 400, pointLoads: [{ name: "Projector", qty: 1, weightLb: 80, widthFt: 2, lengthFt: 2, clipsPerItem: 2 }] });
+    expect(r.cloudAvgPsf).toBeCloseTo(0.2, 10);
+    expect(r.gridPsf).toBeCloseTo(8.1, 10);
+    expect(r.dedicatedCloudClips).toBe(0);
+    expect(r.dedicatedRows).toEqual([]);
+  });
+
+  it("uses each item's clip count in dedicated mode and flags overloaded items", () => {
+    const r = evaluate({
+      mountMode: "dedicated",
+      pointLoads: [
+        { name: "Sub", qty: 2, weightLb: 120, widthFt: 2, lengthFt: 2, clipsPerItem: 4 },
+        { name: "Projector", qty: 1, weightLb: 80, widthFt: 2, lengthFt: 2, clipsPerItem: 2 }
+      ]
+    });
+    expect(r.dedicatedCloudClips).toBe(10);
+    expect(r.dedicatedRows.map(row => [row.name, row.load, row.pass])).toEqual([["Sub", 30, true], ["Projector", 40, false]]);
+    expect(r.dedicatedOk).toBe(false);
+    expect(summarizeProject([r]).failingZones).toBe(1);
+  });
+
+  it("returns zero clips and channel when nothing passes", () => {
+    const r = evaluate({ allowedChannelSpacings: [24], allowedClipSpacings: [48] });
+    expect(r.rec).toBeNull();
+    expect(r.estimatedClipsOnGrid).toBe(0);
+    expect(r.channelLf).toBe(0);
+  });
+
+  it("honours a custom clip capacity", () => {
+    const r = evaluate({ clipCap: 20 });
+    expect(r.rec.loadPerClip).toBeLessThanOrEqual(20);
+  });
+
+  it("does not mutate its input", () => {
+    const cfg = defaultInputs();
+    const snapshot = JSON.stringify(cfg);
+    evaluate(cfg);
+    expect(JSON.stringify(cfg)).toBe(snapshot);
+  });
+});
+
+describe("summarizeProject", () => {
+  it("totals clips and channel and counts failing zones", () => {
+    const a = evaluate({ area: 400 });
+    const b = evaluate({ area: 100, allowedChannelSpacings: [24], allowedClipSpacings: [48] });
+    const s = summarizeProject([a, b]);
+    expect(s.totalClips).toBe(a.totalClips);
+    expect(s.totalChannelLf).toBeCloseTo(a.channelLf, 10);
+    expect(s.failingZones).toBe(1);
+  });
+});
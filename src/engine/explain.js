@@ -0,0 +1,181 @@
+// Explain mode: the step-by-step derivation of every number a zone's result shows. explainZone()
+// returns it as a trace of plain-data steps { key, label, values, value, kind, pass }:
+//   values: the numbers the step combines; value: its result (internal units, kind names the quantity
+//   kind, see units.js; null when unlimited); pass: true / false for checks against a limit, otherwise null.
+// stepText() writes a step out with the values substituted in a unit system ("16 x 24 / 144 = 2.67 ft^2"),
+// so the app, the printed report and the CLI word the same derivation the same way.
+import { checkCombo } from "./calc.js";
+import { DEFAULT_CHANNEL_ID, DEFLECTION_COEF, E_STEEL_PSI, MOMENT_COEF, findChannel } from "./channels.js";
+import { IN2_PER_FT2, formatQty, toUnits } from "./units.js";
+
+// Spacing product per unit of tributary area in each system: in^2 per ft^2, mm^2 per m^2
+const AREA_FACTOR = { imperial: IN2_PER_FT2, metric: 1000000 };
+// Metric loads are shown as a mass per area, so the line load in N/mm needs standard gravity
+const GRAVITY_MS2 = 9.80665;
+
+// Unlimited results (no load: any tributary area, infinite safety) are stored as null to keep the trace JSON-safe
+function finite(x) {
+  return isFinite(x) ? x : null;
+}
+
+function step(key, label, values, value, kind, pass) {
+  return { key, label, values, value: finite(value), kind: kind || null, pass: typeof pass === "boolean" ? pass : null };
+}
+
+// config: the zone's inputs as evaluate() used them; r: evaluate()'s result for them.
+// Empty when the inputs have errors (nothing was calculated). Step keys, in order:
+//   layers, pointLoadWeight, cloudAvg, gridPsf, maxAreaPerClip, maxSpacingProduct;
+//   for the recommendation: tribArea, loadPerClip, safety, lineLoad, channelDeflection, channelBending;
+//   rejected (one per failing combo wider than the recommendation, or every combo when none passes);
+//   region and dedicated (one per load region / dedicated point load).
+export function explainZone(config, r) {
+  if (!r.inputsOk) return [];
+  const steps = [];
+  steps.push(step("layers", "Base assembly load", { terms: r.layerRows.map(l => l.psf) }, r.baseAssemblyPsf, "psf"));
+  if (r.totalCloudWeight > 0) {
+    const items = config.pointLoads.filter(it => it.qty > 0).map(it => ({ qty: it.qty, weightLb: it.weightLb }));
+    steps.push(step("pointLoadWeight", "Total point-load weight", { items }, r.totalCloudWeight, "lb"));
+  }
+  if (r.cloudAvgPsf > 0) steps.push(step("cloudAvg", "Point loads spread over the zone", { weightLb: r.totalCloudWeight, areaFt2: r.area }, r.cloudAvgPsf, "psf"));
+  steps.push(step("gridPsf", "Grid load", { basePsf: r.baseAssemblyPsf, cloudAvgPsf: r.cloudAvgPsf, miscPsf: config.miscPsf }, r.gridPsf, "psf"));
+  steps.push(step("maxAreaPerClip", "Max tributary area/clip", { clipCap: r.clipCap, psf: r.gridPsf }, r.maxAreaPerClip, "ft2"));
+  steps.push(step("maxSpacingProduct", "Max spacing product", { areaFt2: finite(r.maxAreaPerClip) }, r.maxSpacingProduct, "in2"));
+
+  const rec = r.rec;
+  if (rec) {
+    steps.push(step("tribArea", "Tributary area per clip", { channelOC: rec.channelOC, clipOC: rec.clipOC }, rec.tribAreaFt2, "ft2"));
+    steps.push(step("loadPerClip", "Load per clip", { tribAreaFt2: rec.tribAreaFt2, psf: r.gridPsf, clipCap: r.clipCap }, rec.loadPerClip, "lb", rec.clipPass));
+    steps.push(step("safety", "Safety factor", { clipCap: r.clipCap, loadPerClip: rec.loadPerClip }, rec.safety, null));
+    if (rec.channel) {
+      const section = findChannel(r.channelCheck.channelId) || findChannel(DEFAULT_CHANNEL_ID);
+      const span = { lineLoadPli: rec.channel.lineLoadPli, spanIn: rec.clipOC };
+      steps.push(step("lineLoad", "Channel line load", { psf: r.gridPsf, channelOC: rec.channelOC }, rec.channel.lineLoadPli, null));
+      steps.push(step("channelDeflection", "Channel deflection", {
+        ...span, ePsi: E_STEEL_PSI, ixIn4: section.ixIn4, deflectionLimit: r.channelCheck.deflectionLimit, allowableIn: rec.channel.allowableDeflectionIn
+      }, rec.channel.deflectionIn, "in", rec.channel.deflectionRatio <= 1 + 1e-9));
+      steps.push(step("channelBending", "Channel bending stress", {
+        ...span, sxIn3: section.sxIn3, fyPsi: section.fyPsi, allowablePsi: rec.channel.allowableStressPsi
+      }, rec.channel.stressPsi, "psi", rec.channel.bendingRatio <= 1 + 1e-9));
+    }
+  }
+
+  // Why the combos wider than the recommendation fail
+  const ahead = !rec ? r.combos : (r.optimizer ? widerCandidates(config, r) : r.combos.slice(0, r.combos.indexOf(rec)));
+  ahead.filter(c => !c.pass).forEach((c) => {
+    steps.push(step("rejected", rec ? "Wider, fails" : "Fails", {
+      channelOC: c.channelOC, clipOC: c.clipOC, tribAreaFt2: c.tribAreaFt2, psf: r.gridPsf, clipCap: r.clipCap, clipPass: c.clipPass,
+      deflectionIn: c.channel ? c.channel.deflectionIn : null,
+      allowableDeflectionIn: c.channel ? c.channel.allowableDeflectionIn : null,
+      deflectionLimit: c.channel ? r.channelCheck.deflectionLimit : null,
+      bendingRatio: c.channel ? c.channel.bendingRatio : null
+    }, c.loadPerClip, "lb", false));
+  });
+
+  r.regionRows.forEach((row, i) => {
+    const region = config.regions[i];
+    steps.push(step("region", row.name, {
+      fieldPsf: r.gridPsf, extraPsf: region.extraPsf, pointLoadLb: region.pointLoadLb, areaFt2: row.areaFt2, local: row.local,
+      channelOC: row.rec ? row.rec.channelOC : null, clipOC: row.rec ? row.rec.clipOC : null
+    }, row.psf, "psf", row.pass));
+  });
+  r.dedicatedRows.forEach((row) => {
+    steps.push(step("dedicated", row.name, { weightLb: row.weightLb, clipsPerItem: row.clipsPerItem, clipCap: r.clipCap }, row.load, "lb", row.pass));
+  });
+  return steps;
+}
+
+// The optimizer ranks every passing candidate first, so the wider spacings it turned down are the next channel
+// step and the next framing multiple from the recommendation, plus the framing multiples that fail outright
+function widerCandidates(config, r) {
+  const rec = r.rec;
+  const opt = r.optimizer;
+  const out = [];
+  const nextChannelIn = rec.channelOC + (opt.channelStepIn > 0 ? opt.channelStepIn : 1);
+  if (nextChannelIn <= opt.maxChannelIn + 1e-9) out.push(checkCombo(nextChannelIn, rec.clipOC, r.gridPsf, r.clipCap, r.channelCheck));
+  const nextClipIn = rec.clipOC + config.structureSpacing;
+  if (nextClipIn <= opt.maxClipIn + 1e-9) out.push(checkCombo(rec.channelOC, nextClipIn, r.gridPsf, r.clipCap, r.channelCheck));
+  r.combos.forEach((c) => {
+    if (c.clipOC > rec.clipOC && !out.some(o => o.channelOC === c.channelOC && o.clipOC === c.clipOC)) out.push(c);
+  });
+  return out;
+}
+
+function rounded(x, digits) {
+  const p = Math.pow(10, digits);
+  return String(Math.round(x * p) / p);
+}
+
+// "2.7 + 2x2.5 + 0.2": repeated terms in a row are grouped
+function sumText(terms) {
+  const groups = [];
+  terms.forEach((t) => {
+    const last = groups[groups.length - 1];
+    if (last && last.text === t) last.count++;
+    else groups.push({ text: t, count: 1 });
+  });
+  return groups.map(g => (g.count > 1 ? g.count + "x" + g.text : g.text)).join(" + ");
+}
+
+// One step with its values substituted, in the given unit system
+export function stepText(s, units) {
+  const v = s.values;
+  const metric = units === "metric";
+  const n = (kind, x, digits) => rounded(toUnits(kind, x, units), typeof digits === "number" ? digits : 2);
+  const q = (kind, x, digits) => formatQty(kind, x, units, digits);
+  const sp = (x) => n("in", x, metric ? 0 : 2);
+  const defl = (x) => q("in", x, metric ? 1 : 3);
+  const area = (x) => n("ft2", x, metric ? 3 : 2); // m^2 needs the extra digit to multiply back out
+  const cmp = s.pass === false ? " > " : " <= ";
+  switch (s.key) {
+    case "layers":
+      return (v.terms.length ? sumText(v.terms.map(t => n("psf", t))) : "No layers") + " = " + q("psf", s.value);
+    case "pointLoadWeight":
+      return v.items.map(it => it.qty + " x " + n("lb", it.weightLb)).join(" + ") + " = " + q("lb", s.value);
+    case "cloudAvg":
+      return n("lb", v.weightLb) + " / " + n("ft2", v.areaFt2) + " = " + q("psf", s.value);
+    case "gridPsf": {
+      const terms = [v.basePsf, v.cloudAvgPsf, v.miscPsf].filter((t, i) => i === 0 || t > 0);
+      if (terms.length === 1) return q("psf", s.value) + " (assembly only)";
+      return terms.map(t => n("psf", t)).join(" + ") + " = " + q("psf", s.value);
+    }
+    case "maxAreaPerClip":
+      return s.value !== null ? n("lb", v.clipCap) + " / " + n("psf", v.psf) + " = " + q("ft2", s.value, metric ? 3 : 2) : "No grid load, so no limit";
+    case "maxSpacingProduct":
+      return s.value !== null ? area(v.areaFt2) + " x " + AREA_FACTOR[metric ? "metric" : "imperial"] + " = " + q("in2", s.value, 0) : "No grid load, so no limit";
+    case "tribArea":
+      return sp(v.channelOC) + " x " + sp(v.clipOC) + " / " + AREA_FACTOR[metric ? "metric" : "imperial"] + " = " + q("ft2", s.value, metric ? 3 : 2);
+    case "loadPerClip":
+      return area(v.tribAreaFt2) + " x " + n("psf", v.psf) + " = " + q("lb", s.value) + cmp + q("lb", v.clipCap);
+    case "safety":
+      return s.value !== null ? n("lb", v.clipCap) + " / " + n("lb", v.loadPerClip) + " = x" + rounded(s.value, 2) : "No load on the clip";
+    case "lineLoad":
+      return q("psf", v.psf) + (metric ? " x " + rounded(GRAVITY_MS2, 2) + " m/s^2" : "") + " x " + q("in", v.channelOC, metric ? 0 : 2)
+        + " / " + (metric ? 1000000 : IN2_PER_FT2) + " = " + q("pli", s.value, 3);
+    case "channelDeflection": {
+      const span = q("in", v.spanIn, metric ? 0 : 2);
+      return DEFLECTION_COEF + " x " + q("pli", v.lineLoadPli, 3) + " x (" + span + ")^4 / (" + q("psi", v.ePsi, 0) + " x " + q("in4", v.ixIn4, metric ? 0 : 4) + ") = "
+        + q("in", s.value, metric ? 2 : 4) + cmp + span + " / " + v.deflectionLimit + " = " + q("in", v.allowableIn, metric ? 2 : 4);
+    }
+    case "channelBending":
+      return MOMENT_COEF + " x " + q("pli", v.lineLoadPli, 3) + " x (" + q("in", v.spanIn, metric ? 0 : 2) + ")^2 / " + q("in3", v.sxIn3, metric ? 0 : 4) + " = "
+        + q("psi", s.value, metric ? 1 : 0) + cmp + "0.6 x " + q("psi", v.fyPsi, 0) + " = " + q("psi", v.allowablePsi, metric ? 1 : 0);
+    case "rejected": {
+      const reasons = [];
+      if (!v.clipPass) reasons.push("load/clip " + area(v.tribAreaFt2) + " x " + n("psf", v.psf) + " = " + q("lb", s.value) + " > " + q("lb", v.clipCap));
+      if (v.deflectionIn !== null && v.deflectionIn > v.allowableDeflectionIn * (1 + 1e-9)) reasons.push("channel deflection " + defl(v.deflectionIn) + " > " + defl(v.allowableDeflectionIn) + " (L/" + v.deflectionLimit + ")");
+      if (v.bendingRatio !== null && v.bendingRatio > 1 + 1e-9) reasons.push("channel bending stress at " + Math.round(v.bendingRatio * 100) + "% of 0.6 Fy");
+      return sp(v.channelOC) + " / " + sp(v.clipOC) + " OC: " + reasons.join("; ");
+    }
+    case "region": {
+      const terms = [n("psf", v.fieldPsf)];
+      if (v.extraPsf > 0) terms.push(n("psf", v.extraPsf));
+      if (v.pointLoadLb > 0) terms.push(n("lb", v.pointLoadLb) + " / " + n("ft2", v.areaFt2));
+      const spacing = v.channelOC === null ? "no spacing passes" : (v.local ? "needs " + sp(v.channelOC) + " / " + sp(v.clipOC) + " OC" : "field spacing passes");
+      return terms.join(" + ") + " = " + q("psf", s.value) + "; " + spacing;
+    }
+    case "dedicated":
+      return n("lb", v.weightLb) + " / " + v.clipsPerItem + " clip(s) = " + q("lb", s.value) + cmp + q("lb", v.clipCap);
+    default:
+      return s.kind ? q(s.kind, s.value) : String(s.value);
+  }
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { explainZone, stepText } from "./explain.js";
+import { defaultInputs, evaluate } from "./evaluate.js";
+import { customPointLoad } from "./pointLoads.js";
+
+const textOf = (r, key, units) => r.trace.filter(s => s.key === key).map(s => stepText(s, units || "imperial"));
+
+describe("explain mode", () => {
+  it("derives the default zone with the values substituted", () => {
+    const r = evaluate({ ...defaultInputs(), allowedChannelSpacings: [16], allowedClipSpacings: [24, 48] });
+    expect(textOf(r, "layers")).toEqual(["2.7 + 2x2.5 + 0.2 = 7.9 psf"]);
+    expect(textOf(r, "maxAreaPerClip")).toEqual(["36 / 7.9 = 4.56 ft^2"]);
+    expect(textOf(r, "maxSpacingProduct")).toEqual(["4.56 x 144 = 656 in^2"]);
+    expect(textOf(r, "tribArea")).toEqual(["16 x 24 / 144 = 2.67 ft^2"]);
+    expect(textOf(r, "loadPerClip")).toEqual(["2.67 x 7.9 = 21.07 lb <= 36 lb"]);
+    expect(textOf(r, "safety")).toEqual(["36 / 21.07 = x1.71"]);
+    expect(textOf(r, "rejected")).toEqual(["16 / 48 OC: load/clip 5.33 x 7.9 = 42.13 lb > 36 lb"]);
+    expect(r.trace.find(s => s.key === "channelDeflection")).toMatchObject({ value: r.rec.channel.deflectionIn, kind: "in", pass: true });
+    expect(textOf(r, "lineLoad")).toEqual(["7.9 psf x 16 in / 144 = 0.878 lb/in"]);
+  });
+
+  it("writes the channel span checks entirely in the metric units when metric is chosen", () => {
+    const r = evaluate({ ...defaultInputs(), allowedChannelSpacings: [16], allowedClipSpacings: [24, 48] });
+    expect(textOf(r, "lineLoad", "metric")).toEqual(["38.57 kg/m^2 x 9.81 m/s^2 x 406 mm / 1000000 = 0.154 N/mm"]);
+    expect(textOf(r, "channelDeflection", "metric")).toEqual(["0.0069 x 0.154 N/mm x (610 mm)^4 / (203395 MPa x 3788 mm^4) = 0.19 mm <= 610 mm / 360 = 1.69 mm"]);
+    expect(textOf(r, "channelBending", "metric")).toEqual(["0.1 x 0.154 N/mm x (610 mm)^2 / 297 mm^3 = 19.3 MPa <= 0.6 x 228 MPa = 136.5 MPa"]);
+    r.trace.forEach(s => expect(stepText(s, "metric")).not.toMatch(/psf|psi|lb|\bin\b/));
+  });
+
+  it("adds point loads, misc load, regions and dedicated items, in the display units", () => {
+    const r = evaluate({ ...defaultInputs(), miscPsf: 0.2, pointLoads: [{ ...customPointLoad(), qty: 4, weightLb: 60 }], regions: [{ name: "Projector", lengthFt: 6, widthFt: 6, extraPsf: 1, pointLoadLb: 80 }] });
+    expect(textOf(r, "pointLoadWeight")).toEqual(["4 x 60 = 240 lb"]);
+    expect(textOf(r, "cloudAvg")).toEqual(["240 / 400 = 0.6 psf"]);
+    expect(textOf(r, "gridPsf")).toEqual(["7.9 + 0.6 + 0.2 = 8.7 psf"]);
+    expect(textOf(r, "region")).toEqual(["8.7 + 1 + 80 / 36 = 11.92 psf; needs 12 / 36 OC"]);
+    expect(textOf(r, "gridPsf", "metric")).toEqual(["38.57 + 2.93 + 0.98 = 42.48 kg/m^2"]);
+    const dedicated = evaluate({ ...defaultInputs(), mountMode: "dedicated", pointLoads: [{ ...customPointLoad(), name: "Speaker", qty: 2, weightLb: 80, clipsPerItem: 2 }] });
+    expect(textOf(dedicated, "dedicated")).toEqual(["80 / 2 clip(s) = 40 lb > 36 lb"]);
+  });
+
+  it("says why every combo fails when none passes, and traces nothing from invalid inputs", () => {
+    const r = evaluate({ ...defaultInputs(), layers: [{ name: "Lead", psf: 9 }, { name: "Lead", psf: 9 }], allowedChannelSpacings: [24], allowedClipSpacings: [48] });
+    expect(r.rec).toBeNull();
+    expect(textOf(r, "rejected")).toEqual(["24 / 48 OC: load/clip 8 x 18 = 144 lb > 36 lb; channel deflection 0.409 in > 0.133 in (L/360); channel bending stress at 193% of 0.6 Fy"]);
+    expect(r.trace.some(s => s.key === "tribArea")).toBe(false);
+    expect(evaluate({ ...defaultInputs(), miscPsf: -1 }).trace).toEqual([]);
+  });
+
+  it("says why the optimizer's wider spacings fail: the next channel step and the next framing multiple", () => {
+    const r = evaluate({ ...defaultInputs(), spacingMode: "optimize", structureSpacing: 16 });
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([20, 32]);
+    expect(textOf(r, "rejected")).toEqual([
+      "21 / 32 OC: load/clip 4.67 x 7.9 = 36.87 lb > 36 lb",
+      "20 / 48 OC: load/clip 6.67 x 7.9 = 52.67 lb > 36 lb; channel deflection 0.15 in > 0.133 in (L/360)"
+    ]);
+    expect(r.trace.filter(s => s.key === "rejected").every(s => s.label === "Wider, fails")).toBe(true);
+  });
+
+  it("is plain data that survives a JSON round trip, with unlimited results as null", () => {
+    const r = evaluate({ ...defaultInputs(), spacingMode: "optimize" });
+    expect(JSON.parse(JSON.stringify(r.trace))).toEqual(r.trace);
+    expect(explainZone({ ...defaultInputs() }, { ...r, inputsOk: false })).toEqual([]);
+    const unloaded = evaluate({ ...defaultInputs(), layers: [] });
+    expect(JSON.parse(JSON.stringify(unloaded.trace))).toEqual(unloaded.trace);
+    expect(textOf(unloaded, "maxSpacingProduct")).toEqual(["No grid load, so no limit"]);
+    expect(textOf(unloaded, "safety")).toEqual(["No load on the clip"]);
+  });
+
+  it("matches the load per clip the engine computed, within rounding", () => {
+    fc.assert(fc.property(fc.double({ min: 0.5, max: 10, noNaN: true }), fc.constantFrom(12, 16, 24), fc.constantFrom(24, 32, 48), (psf, ch, clip) => {
+      const r = evaluate({ ...defaultInputs(), layers: [{ name: "L", psf }], allowedChannelSpacings: [ch], allowedClipSpacings: [clip], channelCheck: null });
+      const step = r.trace.find(s => s.key === "loadPerClip" || s.key === "rejected");
+      const shown = Number(stepText(step, "imperial").match(/= ([\d.]+) lb/)[1]);
+      return Math.abs(shown - (ch * clip / 144) * psf) < 0.01;
+    }));
+  });
+});
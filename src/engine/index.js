@@ -0,0 +1,17 @@
+// Public entry point for the calculation engine (usable without React)
+export { calcBaseAssemblyPsf, calcCloudAvgPsf, calcCombos, calcLayerBreakdown, checkCombo, firstPassing } from "./calc.js";
+export { CHANNEL_CATALOG, DEFAULT_CHANNEL_ID, DEFLECTION_COEF, DEFLECTION_LIMITS, E_STEEL_PSI, GOVERNS_LABELS, MOMENT_COEF, calcChannelSpan, defaultChannelCheck, findChannel, maxChannelSpacing } from "./channels.js";
+export { DEFAULT_CLIP_CAP, defaultInputs, evaluate, summarizeProject } from "./evaluate.js";
+export { explainZone, stepText } from "./explain.js";
+export { SELF_TEST_CASES } from "./selfTestCases.js";
+export { BUILTIN_PRODUCTS, DEFAULT_PRODUCT_ID, defaultProduct, effectiveCapacity, findProduct } from "./products.js";
+export { MATERIALS, LEGACY_ASSEMBLY_KEYS, customLayer, defaultLayers, findMaterial, hasLegacyAssembly, layerFromMaterial, layersFromLegacy } from "./materials.js";
+export { POINT_LOAD_PRESETS, LEGACY_CLOUD_KEYS, calcDedicatedRows, calcPointLoadTotals, customPointLoad, hasLegacyClouds, pointLoadFromPreset, pointLoadsFromLegacy } from "./pointLoads.js";
+export { calcRegionPsf, calcRegionRows, customRegion } from "./regions.js";
+export { buildReport } from "./report.js";
+export { FIELD_RULES, checkValue, hasErrors, issueMessage, issuesByPath, validateInputs } from "./validate.js";
+export { SCENARIO_INPUT_KEYS, changedInputs, compareScenarios, pickInputs, scenarioFromZone } from "./scenarios.js";
+export { bomToCsv, calcProjectBom, calcZoneBom, calcZoneCost, defaultBomSettings } from "./bom.js";
+export { OBJECTIVE_LABELS, OPTIMIZER_OBJECTIVES, calcOptimizerCandidates, defaultOptimizer, describeLimits, rankCandidates } from "./optimize.js";
+export { calcGridLayout, layoutToSvg, linePositions } from "./layout.js";
+export { DEFAULT_UNITS, IN2_PER_FT2, SPACING_PRESETS, UNIT_SYSTEMS, formatQty, formatRunLength, formatSpacing, fromUnits, spacingPresets, toUnits, unitLabel } from "./units.js";
@@ -0,0 +1,114 @@
+// Channel / clip grid for a rectangular room, and a to-scale plan-view SVG of it.
+// Room dimensions are ft, spacings and offsets in.
+import { formatQty, formatSpacing } from "./units.js";
+
+// Positions (in) across a span: first and last at the edge offset, never more than oc apart.
+export function linePositions(spanIn, offsetIn, oc) {
+  if (!(spanIn > 0) || !(oc > 0)) return [];
+  if (spanIn <= 2 * offsetIn) return [spanIn / 2];
+  const end = spanIn - offsetIn;
+  const out = [];
+  let x = offsetIn;
+  for (; x < end - 1e-6; x += oc) out.push(x);
+  out.push(end);
+  return out;
+}
+
+// room: { lengthFt, widthFt, edgeOffsetIn, channelDirection: "length" | "width" }
+// combo: { channelOC, clipOC } (usually the recommendation)
+export function calcGridLayout(room, combo) {
+  const lengthIn = room.lengthFt * 12;
+  const widthIn = room.widthFt * 12;
+  const alongLength = room.channelDirection !== "width";
+  const runIn = alongLength ? lengthIn : widthIn; // channels run this way
+  const spanIn = alongLength ? widthIn : lengthIn; // and are spaced across this
+  const offset = Math.max(0, room.edgeOffsetIn);
+
+  const channelPositions = linePositions(spanIn, offset, combo.channelOC);
+  const clipPositions = linePositions(runIn, offset, combo.clipOC);
+
+  const warnings = [];
+  if (offset > combo.channelOC / 2) warnings.push("Edge offset is more than half the channel spacing; the wall-side channels carry extra load.");
+  if (offset > combo.clipOC / 2) warnings.push("Edge offset is more than half the clip spacing; the end clips carry extra load.");
+
+  return {
+    lengthIn,
+    widthIn,
+    runIn,
+    spanIn,
+    alongLength,
+    channelOC: combo.channelOC,
+    clipOC: combo.clipOC,
+    channelPositions,
+    clipPositions,
+    channelCount: channelPositions.length,
+    clipsPerChannel: clipPositions.length,
+    clipCount: channelPositions.length * clipPositions.length,
+    channelLf: (channelPositions.length * runIn) / 12,
+    warnings
+  };
+}
+
+function fmtFtIn(inches) {
+  const ft = Math.floor(inches / 12 + 1e-9);
+  const rest = Math.round((inches - ft * 12) * 10) / 10;
+  return rest ? (ft + "'-" + rest + "\"") : (ft + "'-0\"");
+}
+
+// Overall dimension label: 20'-6" or 6.25 m
+function fmtDim(inches, units) {
+  return units === "metric" ? formatQty("ft", inches / 12, units) : fmtFtIn(inches);
+}
+
+function esc(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Standalone SVG document. Drawn in inches at 1/4" = 1'-0" (1:48) so it prints to scale.
+// opts: { title, units: "imperial" | "metric" } (units only changes the labels)
+export function layoutToSvg(layout, opts) {
+  const title = (opts && opts.title) || "Clip / channel layout";
+  const units = (opts && opts.units) || "imperial";
+  const L = layout.lengthIn;
+  const W = layout.widthIn;
+  const margin = Math.max(L, W) * 0.08 + 24;
+  const fontSize = Math.max(L, W) / 45 + 4;
+  const clipR = Math.max(1.5, Math.min(L, W) / 120);
+  const vbW = L + 2 * margin;
+  const vbH = W + 2 * margin + fontSize * 4;
+  const scale = 1 / 48;
+
+  const parts = [];
+  parts.push("<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"" + (-margin) + " " + (-margin - fontSize * 2) + " " + vbW + " " + vbH + "\" width=\"" + (vbW * scale).toFixed(2) + "in\" height=\"" + (vbH * scale).toFixed(2) + "in\" font-family=\"Helvetica, Arial, sans-serif\">");
+  parts.push("<title>" + esc(title) + "</title>");
+  parts.push("<text x=\"0\" y=\"" + (-margin - fontSize * 0.6) + "\" font-size=\"" + fontSize + "\" font-weight=\"bold\">" + esc(title) + "</text>");
+  parts.push("<rect x=\"0\" y=\"0\" width=\"" + L + "\" height=\"" + W + "\" fill=\"#f9fafb\" stroke=\"#111827\" stroke-width=\"" + fontSize / 6 + "\"/>");
+
+  // Channels (blue lines) and clips (dots) in room coordinates: x along length, y along width
+  const point = (run, span) => (layout.alongLength ? [run, span] : [span, run]);
+  layout.channelPositions.forEach((c) => {
+    const a = point(0, c);
+    const b = point(layout.runIn, c);
+    parts.push("<line x1=\"" + a[0] + "\" y1=\"" + a[1] + "\" x2=\"" + b[0] + "\" y2=\"" + b[1] + "\" stroke=\"#2563eb\" stroke-width=\"" + fontSize / 8 + "\"/>");
+  });
+  layout.channelPositions.forEach((c) => {
+    layout.clipPositions.forEach((r) => {
+      const p = point(r, c);
+      parts.push("<circle cx=\"" + p[0] + "\" cy=\"" + p[1] + "\" r=\"" + clipR + "\" fill=\"#dc2626\"/>");
+    });
+  });
+
+  // Overall dimensions
+  parts.push("<text x=\"" + L / 2 + "\" y=\"" + (-fontSize * 0.5) + "\" font-size=\"" + fontSize + "\" text-anchor=\"middle\">" + fmtDim(L, units) + "</text>");
+  parts.push("<text x=\"" + (-fontSize * 0.5) + "\" y=\"" + W / 2 + "\" font-size=\"" + fontSize + "\" text-anchor=\"middle\" transform=\"rotate(-90 " + (-fontSize * 0.5) + " " + W / 2 + ")\">" + fmtDim(W, units) + "</text>");
+
+  const legend = [
+    "Channels (blue): " + layout.channelCount + " @ " + formatSpacing(layout.channelOC, units) + " OC max  |  Clips (red): " + layout.clipCount + " @ " + formatSpacing(layout.clipOC, units) + " OC max",
+    units === "metric" ? "Scale 1:48 when printed at 100%" : "Scale 1/4\" = 1'-0\" when printed at 100%"
+  ];
+  legend.forEach((line, i) => {
+    parts.push("<text x=\"0\" y=\"" + (W + fontSize * (1.6 + i * 1.2)) + "\" font-size=\"" + fontSize * 0.8 + "\">" + esc(line) + "</text>");
+  });
+  parts.push("</svg>");
+  return parts.join("\n") + "\n";
+}
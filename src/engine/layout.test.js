@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { calcGridLayout, layoutToSvg, linePositions } from "./layout.js";
+import { evaluate } from "./evaluate.js";
+
+const room = { lengthFt: 20, widthFt: 20, edgeOffsetIn: 6, channelDirection: "length" };
+
+describe("linePositions", () => {
+  it("starts and ends at the edge offset with no gap wider than the spacing", () => {
+    expect(linePositions(240, 6, 48)).toEqual([6, 54, 102, 150, 198, 234]);
+    expect(linePositions(96, 0, 48)).toEqual([0, 48, 96]);
+  });
+
+  it("puts a single line in the middle of a span narrower than two offsets", () => {
+    expect(linePositions(10, 6, 16)).toEqual([5]);
+  });
+
+  it("never leaves a gap larger than the spacing", () => {
+    fc.assert(fc.property(fc.integer({ min: 12, max: 600 }), fc.integer({ min: 0, max: 12 }), fc.integer({ min: 8, max: 60 }), (span, offset, oc) => {
+      const pos = linePositions(span, offset, oc);
+      for (let i = 1; i < pos.length; i++) expect(pos[i] - pos[i - 1]).toBeLessThanOrEqual(oc + 1e-9);
+    }));
+  });
+});
+
+describe("calcGridLayout", () => {
+  it("counts channels across the width and clips along each channel", () => {
+    const layout = calcGridLayout(room, { channelOC: 12, clipOC: 48 });
+    expect(layout.channelCount).toBe(20);
+    expect(layout.clipsPerChannel).toBe(6);
+    expect(layout.clipCount).toBe(120);
+    expect(layout.channelLf).toBe(400);
+    expect(layout.warnings).toEqual([]);
+  });
+
+  it("follows the channel direction", () => {
+    const long = { ...room, lengthFt: 30, widthFt: 10 };
+    const along = calcGridLayout(long, { channelOC: 16, clipOC: 24 });
+    expect([along.runIn, along.spanIn, along.channelCount, along.channelLf]).toEqual([360, 120, 8, 240]);
+    const across = calcGridLayout({ ...long, channelDirection: "width" }, { channelOC: 16, clipOC: 24 });
+    expect([across.runIn, across.spanIn, across.channelCount, across.channelLf]).toEqual([120, 360, 23, 230]);
+  });
+
+  it("warns when the edge offset exceeds half a spacing", () => {
+    const layout = calcGridLayout({ ...room, edgeOffsetIn: 10 }, { channelOC: 16, clipOC: 48 });
+    expect(layout.warnings).toHaveLength(1);
+    expect(layout.warnings[0]).toMatch(/channel spacing/);
+  });
+});
+
+describe("layoutToSvg", () => {
+  it("draws every channel and clip at 1/4 in = 1 ft", () => {
+    const layout = calcGridLayout(room, { channelOC: 24, clipOC: 48 });
+    const svg = layoutToSvg(layout, { title: "Main <room>" });
+    expect(svg.startsWith("<svg xmlns=\"http://www.w3.org/2000/svg\"")).toBe(true);
+    expect(svg.match(/<line /g)).toHaveLength(layout.channelCount);
+    expect(svg.match(/<circle /g)).toHaveLength(layout.clipCount);
+    expect(svg).toContain("Main &lt;room&gt;");
+    expect(svg).toContain("20'-0\"");
+  });
+
+  it("labels dimensions and spacings in metric when asked", () => {
+    const svg = layoutToSvg(calcGridLayout(room, { channelOC: 24, clipOC: 48 }), { units: "metric" });
+    expect(svg).toContain(">6.1 m</text>");
+    expect(svg).toContain("@ 610 mm OC max");
+    expect(svg).toContain("Scale 1:48");
+  });
+});
+
+describe("evaluate with a rectangular room", () => {
+  it("derives area from the dimensions and counts clips from the layout", () => {
+    const r = evaluate({ shape: "rect", lengthFt: 20, widthFt: 20, area: 1 });
+    expect(r.area).toBe(400);
+    expect(r.layout.clipCount).toBe(120);
+    expect(r.estimatedClipsOnGrid).toBe(120);
+    expect(r.channelLf).toBe(400);
+  });
+
+  it("keeps the area estimate for zones without dimensions", () => {
+    const r = evaluate({ area: 400 });
+    expect(r.layout).toBeNull();
+    expect(r.estimatedClipsOnGrid).toBe(100);
+  });
+});
@@ -0,0 +1,64 @@
+// Assembly layer materials. Weights are typical published values; always check the
+// manufacturer's data sheet for the exact product used.
+// A layer is a snapshot { materialId, name, thicknessIn, psf } so later library edits never change saved jobs.
+// materialId is null for layers entered by hand. unit says how the material is bought: "sheet" goods
+// are counted in sheets for the bill of materials, "area" goods (rolls, batts) in ft^2.
+
+export const MATERIALS = [
+  { id: "osb-23-32", name: "23/32 OSB", thicknessIn: 0.719, psf: 2.7, unit: "sheet" },
+  { id: "plywood-1-2", name: "1/2 plywood", thicknessIn: 0.5, psf: 1.5, unit: "sheet" },
+  { id: "plywood-3-4", name: "3/4 plywood", thicknessIn: 0.75, psf: 2.3, unit: "sheet" },
+  { id: "gyp-1-2", name: "1/2 drywall", thicknessIn: 0.5, psf: 1.7, unit: "sheet" },
+  { id: "gyp-1-2-lw", name: "1/2 lightweight drywall", thicknessIn: 0.5, psf: 1.3, unit: "sheet" },
+  { id: "gyp-5-8", name: "5/8 drywall (Type X)", thicknessIn: 0.625, psf: 2.5, unit: "sheet" },
+  { id: "quietrock-510", name: "QuietRock 510 (1/2)", thicknessIn: 0.51, psf: 2.0, unit: "sheet" },
+  { id: "quietrock-545", name: "QuietRock 545 (5/8)", thicknessIn: 0.625, psf: 2.8, unit: "sheet" },
+  { id: "mlv-1", name: "MLV 1 lb/ft^2", thicknessIn: 0.125, psf: 1.0, unit: "area" },
+  { id: "mlv-2", name: "MLV 2 lb/ft^2", thicknessIn: 0.25, psf: 2.0, unit: "area" },
+  { id: "acoustic-panel-1", name: "1 in fiberglass acoustic panel", thicknessIn: 1.0, psf: 0.5, unit: "sheet" },
+  { id: "insulation", name: "Insulation allowance", thicknessIn: null, psf: 0.2, unit: "area" }
+];
+
+export function findMaterial(id) {
+  for (let i = 0; i < MATERIALS.length; i++) if (MATERIALS[i].id === id) return MATERIALS[i];
+  return null;
+}
+
+export function layerFromMaterial(id) {
+  const m = findMaterial(id);
+  return { materialId: m.id, name: m.name, thicknessIn: m.thicknessIn, psf: m.psf };
+}
+
+export function customLayer() {
+  return { materialId: null, name: "Custom layer", thicknessIn: null, psf: 0 };
+}
+
+// Pre-layer zones described the assembly as optional OSB + N drywall layers + insulation
+export const LEGACY_ASSEMBLY_KEYS = ["includeOSB", "osbPsf", "drywallLayers", "drywallPsf", "insulPsf"];
+const LEGACY_DEFAULTS = { includeOSB: true, osbPsf: 2.7, drywallLayers: 2, drywallPsf: 2.5, insulPsf: 0.2 };
+
+export function hasLegacyAssembly(zone) {
+  return LEGACY_ASSEMBLY_KEYS.some(k => k in zone);
+}
+
+// Equivalent layer stack for the old fields (same total psf as the old calcBaseAssemblyPsf).
+// A fractional drywall count becomes whole layers plus one partial layer at the leftover weight.
+export function layersFromLegacy(zone) {
+  const z = { ...LEGACY_DEFAULTS, ...zone };
+  const layers = [];
+  if (z.includeOSB) layers.push({ ...layerFromMaterial("osb-23-32"), psf: z.osbPsf });
+  const n = Math.max(0, z.drywallLayers);
+  const whole = Math.floor(n + 1e-9);
+  for (let i = 0; i < whole; i++) layers.push({ ...layerFromMaterial("gyp-5-8"), psf: z.drywallPsf });
+  const part = n - whole;
+  if (part > 1e-9) {
+    const gyp = layerFromMaterial("gyp-5-8");
+    layers.push({ ...gyp, name: gyp.name + " (x" + Math.round(part * 1000) / 1000 + ")", thicknessIn: gyp.thicknessIn * part, psf: z.drywallPsf * part });
+  }
+  if (z.insulPsf) layers.push({ ...layerFromMaterial("insulation"), psf: z.insulPsf });
+  return layers;
+}
+
+export function defaultLayers() {
+  return layersFromLegacy(LEGACY_DEFAULTS);
+}
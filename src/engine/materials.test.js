@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { MATERIALS, defaultLayers, findMaterial, hasLegacyAssembly, layerFromMaterial, layersFromLegacy } from "./materials.js";
+import { calcBaseAssemblyPsf } from "./calc.js";
+import { evaluate } from "./evaluate.js";
+
+describe("materials", () => {
+  it("has unique ids and non-negative weights", () => {
+    expect(new Set(MATERIALS.map(m => m.id)).size).toBe(MATERIALS.length);
+    expect(MATERIALS.every(m => m.psf >= 0)).toBe(true);
+  });
+
+  it("snapshots a library material into a layer", () => {
+    expect(layerFromMaterial("gyp-5-8")).toEqual({ materialId: "gyp-5-8", name: "5/8 drywall (Type X)", thicknessIn: 0.625, psf: 2.5 });
+    expect(findMaterial("nope")).toBeNull();
+  });
+
+  it("defaults to OSB + 2x 5/8 drywall + insulation at 7.9 psf", () => {
+    expect(defaultLayers().map(l => l.materialId)).toEqual(["osb-23-32", "gyp-5-8", "gyp-5-8", "insulation"]);
+    expect(calcBaseAssemblyPsf(defaultLayers())).toBeCloseTo(7.9, 10);
+  });
+});
+
+describe("legacy OSB/drywall inputs", () => {
+  it("detects legacy fields", () => {
+    expect(hasLegacyAssembly({ drywallLayers: 3 })).toBe(true);
+    expect(hasLegacyAssembly({ layers: [] })).toBe(false);
+  });
+
+  it("maps onto a layer stack with the same total weight", () => {
+    const legacy = fc.record({
+      includeOSB: fc.boolean(),
+      osbPsf: fc.double({ min: 0, max: 5, noNaN: true }),
+      drywallLayers: fc.oneof(fc.integer({ min: 0, max: 3 }), fc.double({ min: 0, max: 3, noNaN: true })),
+      drywallPsf: fc.double({ min: 0, max: 5, noNaN: true }),
+      insulPsf: fc.double({ min: 0, max: 2, noNaN: true })
+    });
+    fc.assert(fc.property(legacy, (z) => {
+      const oldPsf = (z.includeOSB ? z.osbPsf : 0) + z.drywallLayers * z.drywallPsf + z.insulPsf;
+      expect(calcBaseAssemblyPsf(layersFromLegacy(z))).toBeCloseTo(oldPsf, 9);
+    }));
+  });
+
+  it("lets evaluate accept the legacy fields directly", () => {
+    const r = evaluate({ includeOSB: false, drywallLayers: 3, drywallPsf: 2.5, insulPsf: 0 });
+    expect(r.baseAssemblyPsf).toBeCloseTo(7.5, 10);
+    expect(r.layerRows).toHaveLength(3);
+  });
+});
@@ -0,0 +1,94 @@
+// Continuous spacing optimizer. Clips land on framing (whole multiples of the structure spacing);
+// channel spacing may be any value between a minimum and a maximum, rounded down to a step.
+// For each framing multiple the widest passing channel spacing is taken, then candidates are ranked.
+// All lengths are inches; see units.js for display.
+import { checkCombo } from "./calc.js";
+import { GOVERNS_LABELS, maxChannelSpacing } from "./channels.js";
+import { IN2_PER_FT2, formatSpacing } from "./units.js";
+
+export const OPTIMIZER_OBJECTIVES = ["clips", "cost", "safety"];
+export const OBJECTIVE_LABELS = { clips: "Fewest clips", cost: "Lowest cost", safety: "Highest safety factor" };
+
+export function defaultOptimizer() {
+  return {
+    minChannelIn: 12,
+    maxChannelIn: 24,
+    channelStepIn: 1, // channel spacing is rounded down to min + n * step
+    maxClipIn: 48, // widest clip spacing allowed along a channel
+    objective: "clips" // clips | cost | safety
+  };
+}
+
+// One candidate per framing multiple: a checkCombo() result plus limits, which explains what stopped
+// each spacing from going wider:
+//   channel: "capacity" | "deflection" | "bending" (channel span check) | "max" (hit maxChannelIn)
+//   clip: "framing" (capacity allows more, but the next member is too far) | "max" (next member is past maxClipIn)
+//         | "objective" (the next member needs narrower channels; the ranking chooses between them)
+// With params.channelCheck the channel spacing is also held to what the channel span allows.
+export function calcOptimizerCandidates(params) {
+  const { gridPsf, clipCap, structureSpacing, minChannelIn, maxChannelIn, channelStepIn, maxClipIn, channelCheck } = params;
+  const out = [];
+  if (!(structureSpacing > 0) || !(minChannelIn > 0) || !(maxChannelIn >= minChannelIn)) return out;
+  const step = channelStepIn > 0 ? channelStepIn : 1;
+  // No candidates when even one member's spacing is wider than maxClipIn (validate.js reports it)
+  const maxK = Math.floor(maxClipIn / structureSpacing + 1e-9);
+  // Spacing product (in^2) a clip can carry
+  const maxProduct = gridPsf > 0 ? (clipCap * IN2_PER_FT2) / gridPsf : Infinity;
+
+  for (let k = 1; k <= maxK; k++) {
+    const clipOC = k * structureSpacing;
+    let capChannelIn = maxProduct / clipOC;
+    let capLimit = "capacity";
+    if (channelCheck) {
+      const span = maxChannelSpacing(clipOC, gridPsf, channelCheck);
+      if (span.channelIn < capChannelIn) {
+        capChannelIn = span.channelIn;
+        capLimit = span.limit;
+      }
+    }
+    let channelOC = maxChannelIn;
+    let channelLimit = "max";
+    if (capChannelIn < maxChannelIn) {
+      channelLimit = capLimit;
+      channelOC = capChannelIn >= minChannelIn ? minChannelIn + Math.floor((capChannelIn - minChannelIn) / step + 1e-9) * step : minChannelIn;
+    }
+    const capClipIn = maxProduct / channelOC;
+    const nextFramingIn = clipOC + structureSpacing;
+    let clipLimit = "objective";
+    if (nextFramingIn > maxClipIn + 1e-9) clipLimit = "max";
+    else if (channelLimit === "max") clipLimit = "framing";
+
+    out.push({
+      ...checkCombo(channelOC, clipOC, gridPsf, clipCap, channelCheck),
+      limits: { channel: channelLimit, clip: clipLimit, capChannelIn, capClipIn, nextFramingIn, minChannelIn, maxChannelIn, maxClipIn }
+    });
+  }
+  return out;
+}
+
+// Passing candidates first, best first for the objective; candidates carry clips (and cost for "cost")
+export function rankCandidates(candidates, objective) {
+  const bySafety = (a, b) => b.safety - a.safety;
+  const byClips = (a, b) => a.clips - b.clips;
+  const compare = {
+    clips: (a, b) => byClips(a, b) || bySafety(a, b),
+    cost: (a, b) => (a.cost - b.cost) || byClips(a, b) || bySafety(a, b),
+    safety: (a, b) => bySafety(a, b) || byClips(a, b)
+  }[objective] || ((a, b) => byClips(a, b) || bySafety(a, b));
+  const passing = candidates.filter(c => c.pass).sort(compare);
+  return passing.concat(candidates.filter(c => !c.pass));
+}
+
+// Plain-language reason for a candidate's spacing, in the given display units
+export function describeLimits(candidate, units) {
+  const l = candidate.limits;
+  const s = (v) => formatSpacing(v, units);
+  if (!candidate.pass) return "Fails on " + (candidate.governs && candidate.governs !== "clip" ? GOVERNS_LABELS[candidate.governs] : "clip capacity") + " even at the minimum channel spacing (" + s(l.minChannelIn) + ").";
+  const channel = l.channel === "max"
+    ? "Channel spacing at the maximum (" + s(l.maxChannelIn) + ")."
+    : "Channel spacing limited by " + (l.channel === "capacity" ? "capacity" : "channel " + l.channel) + " (up to " + s(l.capChannelIn) + " at " + s(candidate.clipOC) + " clips).";
+  let clip = "Clip spacing chosen by the objective: clips on the next member (" + s(l.nextFramingIn) + ") need narrower channels.";
+  if (l.clip === "max") clip = "Clip spacing at the maximum (" + s(l.maxClipIn) + ").";
+  else if (l.clip === "framing") clip = "Clip spacing limited by framing: capacity allows " + (isFinite(l.capClipIn) ? s(l.capClipIn) : "any spacing") + ", but the next member is at " + s(l.nextFramingIn) + ".";
+  return channel + " " + clip;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { calcOptimizerCandidates, defaultOptimizer, describeLimits, rankCandidates } from "./optimize.js";
+import { evaluate } from "./evaluate.js";
+
+const base = { gridPsf: 7.9, clipCap: 36, structureSpacing: 16, ...defaultOptimizer() };
+
+describe("calcOptimizerCandidates", () => {
+  it("puts clips on every framing multiple and takes the widest passing channel spacing for each", () => {
+    const c = calcOptimizerCandidates(base);
+    expect(c.map(x => [x.channelOC, x.clipOC])).toEqual([[24, 16], [20, 32], [13, 48]]);
+    expect(c.every(x => x.pass)).toBe(true);
+    expect(c.map(x => [x.limits.channel, x.limits.clip])).toEqual([["max", "framing"], ["capacity", "objective"], ["capacity", "max"]]);
+  });
+
+  it("steps channel spacing up from the minimum", () => {
+    const c = calcOptimizerCandidates({ ...base, minChannelIn: 12, channelStepIn: 4 });
+    expect(c.map(x => x.channelOC)).toEqual([24, 20, 12]);
+  });
+
+  it("marks framing multiples that fail even at the minimum channel spacing", () => {
+    const c = calcOptimizerCandidates({ ...base, gridPsf: 20 });
+    expect(c.map(x => x.pass)).toEqual([true, false, false]);
+    expect(c[1].channelOC).toBe(12);
+  });
+
+  it("returns nothing for a missing structure spacing or an empty channel range", () => {
+    expect(calcOptimizerCandidates({ ...base, structureSpacing: 0 })).toEqual([]);
+    expect(calcOptimizerCandidates({ ...base, minChannelIn: 30 })).toEqual([]);
+    expect(calcOptimizerCandidates({ ...base, structureSpacing: 24, maxClipIn: 16 })).toEqual([]);
+  });
+
+  it("never passes a candidate over capacity and never leaves a wider passing step unused", () => {
+    fc.assert(fc.property(
+      fc.double({ min: 0.5, max: 20, noNaN: true }), fc.constantFrom(12, 16, 19.2, 24), fc.integer({ min: 8, max: 16 }), fc.integer({ min: 16, max: 32 }), fc.constantFrom(0.5, 1, 2),
+      (gridPsf, structureSpacing, minChannelIn, maxChannelIn, channelStepIn) => {
+        const params = { ...base, gridPsf, structureSpacing, minChannelIn, maxChannelIn, channelStepIn };
+        calcOptimizerCandidates(params).filter(c => c.pass).forEach((c) => {
+          expect(c.loadPerClip).toBeLessThanOrEqual(36 + 1e-9);
+          expect(c.channelOC).toBeGreaterThanOrEqual(minChannelIn);
+          expect(c.channelOC).toBeLessThanOrEqual(maxChannelIn);
+          expect(Math.abs(c.clipOC / structureSpacing - Math.round(c.clipOC / structureSpacing))).toBeLessThan(1e-9);
+          const wider = c.channelOC + channelStepIn;
+          if (wider <= maxChannelIn) expect((wider * c.clipOC / 144) * gridPsf).toBeGreaterThan(36);
+        });
+      }
+    ));
+  });
+});
+
+describe("rankCandidates", () => {
+  const c = [
+    { pass: true, clips: 150, cost: 300, safety: 1.7 },
+    { pass: false, clips: 60, cost: 100, safety: 0.9 },
+    { pass: true, clips: 90, cost: 320, safety: 1.02 },
+    { pass: true, clips: 93, cost: 280, safety: 1.05 }
+  ];
+
+  it("orders passing candidates by the objective and keeps failing ones last", () => {
+    expect(rankCandidates(c, "clips").map(x => x.clips)).toEqual([90, 93, 150, 60]);
+    expect(rankCandidates(c, "cost").map(x => x.clips)).toEqual([93, 150, 90, 60]);
+    expect(rankCandidates(c, "safety").map(x => x.clips)).toEqual([150, 93, 90, 60]);
+  });
+});
+
+describe("describeLimits", () => {
+  it("explains whether capacity, framing, the objective or the maximum spacing governs", () => {
+    const [first, second, third] = calcOptimizerCandidates(base);
+    expect(describeLimits(first, "imperial")).toBe("Channel spacing at the maximum (24\"). Clip spacing limited by framing: capacity allows 27.34\", but the next member is at 32\".");
+    expect(describeLimits(second, "imperial")).toMatch(/^Channel spacing limited by capacity \(up to 20.51" at 32" clips\)\. Clip spacing chosen by the objective: clips on the next member \(48"\) need narrower channels\.$/);
+    expect(describeLimits(third, "imperial")).toMatch(/\. Clip spacing at the maximum \(48"\)\.$/);
+    expect(describeLimits(first, "metric")).toMatch(/^Channel spacing at the maximum \(610 mm\)/);
+    const failing = calcOptimizerCandidates({ ...base, gridPsf: 20 })[2];
+    expect(describeLimits(failing, "imperial")).toMatch(/^Fails on clip capacity/);
+  });
+});
+
+describe("evaluate in optimize mode", () => {
+  const zone = { area: 400, spacingMode: "optimize", structureSpacing: 16, layers: [{ name: "OSB", psf: 2.7 }, { name: "gyp", psf: 2.5 }, { name: "gyp", psf: 2.5 }, { name: "insul", psf: 0.2 }] };
+
+  it("recommends the candidate with the fewest clips by default", () => {
+    const r = evaluate(zone);
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([20, 32]);
+    expect(r.combos.map(c => c.clips)).toEqual([90, 93, 150]);
+    expect(r.totalClips).toBe(90);
+    expect(r.optimizer.objective).toBe("clips");
+  });
+
+  it("ranks by safety factor or by cost at the job's unit prices", () => {
+    expect(evaluate({ ...zone, optimizer: { ...defaultOptimizer(), objective: "safety" } }).rec.clipOC).toBe(16);
+    const bom = { wastePct: 0, stickLengthFt: 12, spliceOverlapIn: 0, screwsPerClip: 0, sheetWidthFt: 4, sheetLengthFt: 8, prices: { clips: 1, channel: 50 } };
+    const r = evaluate({ ...zone, optimizer: { ...defaultOptimizer(), objective: "cost" }, bom });
+    expect(r.combos.map(c => c.cost)).toEqual([...r.combos.map(c => c.cost)].sort((a, b) => a - b));
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([24, 16]); // widest channel spacing wins when channel is expensive
+  });
+});
@@ -0,0 +1,62 @@
+// Point-load items hung from the ceiling: clouds, projectors, subwoofers, custom panels.
+// An item is { name, qty, weightLb, widthFt, lengthFt, clipsPerItem }; weight is per item.
+
+export const POINT_LOAD_PRESETS = [
+  { id: "cloud-4x1", name: "4x1 cloud", weightLb: 15, widthFt: 4, lengthFt: 1, clipsPerItem: 4 },
+  { id: "cloud-4x2", name: "4x2 cloud", weightLb: 30, widthFt: 4, lengthFt: 2, clipsPerItem: 4 },
+  { id: "cloud-4x3", name: "4x3 cloud", weightLb: 45, widthFt: 4, lengthFt: 3, clipsPerItem: 4 },
+  { id: "cloud-4x4", name: "4x4 cloud", weightLb: 60, widthFt: 4, lengthFt: 4, clipsPerItem: 4 }
+];
+
+export function pointLoadFromPreset(id, qty) {
+  const p = POINT_LOAD_PRESETS.find(x => x.id === id);
+  return { name: p.name, qty: typeof qty === "number" ? qty : 1, weightLb: p.weightLb, widthFt: p.widthFt, lengthFt: p.lengthFt, clipsPerItem: p.clipsPerItem };
+}
+
+export function customPointLoad() {
+  return { name: "Custom item", qty: 1, weightLb: 0, widthFt: 1, lengthFt: 1, clipsPerItem: 4 };
+}
+
+// Pre-item zones counted four fixed cloud sizes (c4x1..c4x4), each hung on 4 clips
+export const LEGACY_CLOUD_KEYS = ["c4x1", "c4x2", "c4x3", "c4x4"];
+
+export function hasLegacyClouds(zone) {
+  return LEGACY_CLOUD_KEYS.some(k => k in zone);
+}
+
+export function pointLoadsFromLegacy(zone) {
+  const items = [];
+  LEGACY_CLOUD_KEYS.forEach((key, i) => {
+    if (zone[key] > 0) items.push(pointLoadFromPreset(POINT_LOAD_PRESETS[i].id, zone[key]));
+  });
+  return items;
+}
+
+export function calcPointLoadTotals(items) {
+  let count = 0;
+  let totalWeightLb = 0;
+  let dedicatedClips = 0;
+  for (let i = 0; i < items.length; i++) {
+    const it = items[i];
+    count += it.qty;
+    totalWeightLb += it.qty * it.weightLb;
+    dedicatedClips += it.qty * it.clipsPerItem;
+  }
+  return { count, totalWeightLb, dedicatedClips };
+}
+
+// Per-clip check for items hung on their own clips (dedicated mode)
+export function calcDedicatedRows(items, clipCap) {
+  return items.map((it) => {
+    const load = it.clipsPerItem > 0 ? it.weightLb / it.clipsPerItem : Infinity;
+    return {
+      name: it.name,
+      qty: it.qty,
+      weightLb: it.weightLb,
+      clipsPerItem: it.clipsPerItem,
+      load,
+      pass: load <= clipCap,
+      safety: isFinite(load) && load > 0 ? (clipCap / load) : Infinity
+    };
+  });
+}
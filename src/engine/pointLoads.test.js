@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { calcDedicatedRows, calcPointLoadTotals, pointLoadFromPreset, pointLoadsFromLegacy } from "./pointLoads.js";
+
+describe("point loads", () => {
+  it("maps legacy cloud counts to 4-clip cloud items, skipping zero counts", () => {
+    expect(pointLoadsFromLegacy({ c4x1: 3, c4x2: 0, c4x4: 1 })).toEqual([
+      { name: "4x1 cloud", qty: 3, weightLb: 15, widthFt: 4, lengthFt: 1, clipsPerItem: 4 },
+      { name: "4x4 cloud", qty: 1, weightLb: 60, widthFt: 4, lengthFt: 4, clipsPerItem: 4 }
+    ]);
+  });
+
+  it("totals quantity, weight and dedicated clips", () => {
+    const items = [pointLoadFromPreset("cloud-4x2", 2), { name: "Sub", qty: 1, weightLb: 90, widthFt: 2, lengthFt: 2, clipsPerItem: 3 }];
+    expect(calcPointLoadTotals(items)).toEqual({ count: 3, totalWeightLb: 150, dedicatedClips: 11 });
+  });
+
+  it("fails items with no clips instead of dividing by zero", () => {
+    const [row] = calcDedicatedRows([{ name: "Loose", qty: 1, weightLb: 10, widthFt: 1, lengthFt: 1, clipsPerItem: 0 }], 36);
+    expect(row.load).toBe(Infinity);
+    expect(row.pass).toBe(false);
+  });
+});
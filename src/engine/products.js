@@ -0,0 +1,23 @@
+// Clip / hanger products. Rated capacity is the manufacturer's published load per clip;
+// derate is an optional multiplier (0-1] for seismic or company-mandated margins.
+
+export const DEFAULT_PRODUCT_ID = "genieclip-rst";
+
+export const BUILTIN_PRODUCTS = [
+  { id: DEFAULT_PRODUCT_ID, name: "GenieClip RST", capacityLb: 36, derate: 1, builtin: true }
+];
+
+export function effectiveCapacity(product) {
+  const derate = typeof product.derate === "number" ? product.derate : 1;
+  return product.capacityLb * derate;
+}
+
+export function defaultProduct() {
+  const { builtin, ...product } = BUILTIN_PRODUCTS[0];
+  return product;
+}
+
+export function findProduct(catalog, id) {
+  for (let i = 0; i < catalog.length; i++) if (catalog[i].id === id) return catalog[i];
+  return null;
+}
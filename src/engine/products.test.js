@@ -0,0 +1,19 @@
+import { describe, it, expect } from "vitest";
+import { BUILTIN_PRODUCTS, DEFAULT_PRODUCT_ID, defaultProduct, effectiveCapacity, findProduct } from "./products.js";
+
+describe("products", () => {
+  it("defaults to the 36 lb GenieClip RST", () => {
+    expect(defaultProduct()).toEqual({ id: DEFAULT_PRODUCT_ID, name: "GenieClip RST", capacityLb: 36, derate: 1 });
+    expect(effectiveCapacity(defaultProduct())).toBe(36);
+  });
+
+  it("applies the derate factor and treats a missing derate as 1", () => {
+    expect(effectiveCapacity({ capacityLb: 40, derate: 0.75 })).toBe(30);
+    expect(effectiveCapacity({ capacityLb: 40 })).toBe(40);
+  });
+
+  it("finds products by id", () => {
+    expect(findProduct(BUILTIN_PRODUCTS, DEFAULT_PRODUCT_ID).name).toBe("GenieClip RST");
+    expect(findProduct(BUILTIN_PRODUCTS, "nope")).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+// Load regions: parts of a zone that carry more than the field load, such as the area under a
+// projector or a band of speakers. A region is { name, lengthFt, widthFt, extraPsf, pointLoadLb };
+// its load is the zone's grid psf plus extraPsf plus pointLoadLb spread over the region's own footprint
+// (not the whole zone), so clips under heavy items are checked at the load they actually see.
+import { checkCombo, firstPassing } from "./calc.js";
+
+export function customRegion() {
+  return { name: "Heavy area", lengthFt: 6, widthFt: 6, extraPsf: 0, pointLoadLb: 0 };
+}
+
+export function calcRegionPsf(region, fieldPsf) {
+  const area = region.lengthFt * region.widthFt;
+  return fieldPsf + region.extraPsf + (area > 0 ? region.pointLoadLb / area : 0);
+}
+
+// One row per region. The field spacing is kept where it still passes; otherwise the region gets the
+// first passing combo from regionCombos(psf, areaFt2, fieldRec) (same menu or optimizer as the zone).
+// Field channels and clips run on through the region, so a local spacing is only ever tighter: no wider
+// than the field's in either direction. Clips and channel are estimated from area / tributary area;
+// extraClips and extraChannelLf are what the tighter local spacing adds over the field grid already
+// counted across the region.
+export function calcRegionRows(regions, params) {
+  const { fieldPsf, fieldRec, clipCap, channelCheck, regionCombos } = params;
+  return regions.map((region) => {
+    const areaFt2 = region.lengthFt * region.widthFt;
+    const psf = calcRegionPsf(region, fieldPsf);
+    const field = fieldRec ? checkCombo(fieldRec.channelOC, fieldRec.clipOC, psf, clipCap, channelCheck) : null;
+    let combos = null;
+    let rec = field;
+    if (!field || !field.pass) {
+      combos = regionCombos(psf, areaFt2, fieldRec);
+      if (fieldRec) combos = combos.filter(c => c.channelOC <= fieldRec.channelOC + 1e-9 && c.clipOC <= fieldRec.clipOC + 1e-9);
+      rec = firstPassing(combos);
+    }
+    const local = !!rec && rec !== field;
+    const clips = rec && areaFt2 > 0 ? Math.ceil(areaFt2 / rec.tribAreaFt2) : 0;
+    const fieldClips = fieldRec && areaFt2 > 0 ? Math.ceil(areaFt2 / fieldRec.tribAreaFt2) : 0;
+    const channelLf = rec && areaFt2 > 0 ? (areaFt2 * 12.0) / rec.channelOC : 0;
+    const fieldChannelLf = fieldRec && areaFt2 > 0 ? (areaFt2 * 12.0) / fieldRec.channelOC : 0;
+    return {
+      name: region.name,
+      areaFt2,
+      psf,
+      combos,
+      rec,
+      local, // true when the region needs a tighter spacing than the field
+      pass: !!rec,
+      clips,
+      extraClips: local ? Math.max(0, clips - fieldClips) : 0,
+      extraChannelLf: local ? Math.max(0, channelLf - fieldChannelLf) : 0
+    };
+  });
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { calcRegionPsf, customRegion } from "./regions.js";
+import { checkCombo } from "./calc.js";
+import { evaluate, summarizeProject } from "./evaluate.js";
+
+const projector = { name: "Projector", lengthFt: 4, widthFt: 4, extraPsf: 0, pointLoadLb: 80 };
+
+describe("load regions", () => {
+  it("spreads item weight over the region's own footprint", () => {
+    expect(calcRegionPsf(projector, 7.9)).toBeCloseTo(12.9, 10);
+    expect(calcRegionPsf({ ...customRegion(), extraPsf: 1.5 }, 8)).toBe(9.5);
+    expect(checkCombo(12, 48, 12.9, 36, null)).toMatchObject({ tribAreaFt2: 4, pass: false });
+  });
+
+  it("keeps the field spacing where it passes and tightens it locally where it does not", () => {
+    const r = evaluate({ regions: [projector, { name: "Speakers", lengthFt: 10, widthFt: 2, extraPsf: 0.5, pointLoadLb: 0 }] });
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([12, 48]);
+    const [heavy, band] = r.regionRows;
+    expect(heavy).toMatchObject({ psf: 12.9, local: true, pass: true, clips: 6, extraClips: 2 });
+    expect([heavy.rec.channelOC, heavy.rec.clipOC]).toEqual([12, 32]);
+    expect(band).toMatchObject({ local: false, pass: true, extraClips: 0 });
+    expect(r.regionClips).toBe(2);
+    expect(r.totalClips).toBe(r.estimatedClipsOnGrid + 2);
+  });
+
+  it("never widens the field spacing in either direction inside a region", () => {
+    const heavy = { name: "Rack", lengthFt: 6, widthFt: 6, extraPsf: 0, pointLoadLb: 180 };
+    const r = evaluate({ allowedChannelSpacings: [12, 24], allowedClipSpacings: [16, 48], regions: [heavy] });
+    expect([r.rec.channelOC, r.rec.clipOC]).toEqual([12, 48]);
+    const row = r.regionRows[0];
+    expect([row.rec.channelOC, row.rec.clipOC]).toEqual([12, 16]);
+    expect(row.extraClips).toBe(18);
+    const opt = evaluate({ spacingMode: "optimize", structureSpacing: 16, regions: [heavy] });
+    const local = opt.regionRows[0].rec;
+    expect(local.channelOC).toBeLessThanOrEqual(opt.rec.channelOC);
+    expect(local.clipOC).toBeLessThanOrEqual(opt.rec.clipOC);
+    expect(local.pass).toBe(true);
+  });
+
+  it("fails the zone when a region has no passing spacing", () => {
+    const r = evaluate({ regions: [{ ...projector, pointLoadLb: 400 }] });
+    expect(r.rec).not.toBeNull();
+    expect(r.regionsOk).toBe(false);
+    expect(summarizeProject([r]).failingZones).toBe(1);
+  });
+
+  it("uses the optimizer for regions in optimize mode", () => {
+    const r = evaluate({ spacingMode: "optimize", structureSpacing: 16, regions: [projector] });
+    const row = r.regionRows[0];
+    expect(row.local).toBe(true);
+    expect(row.rec.clipOC % 16).toBe(0);
+    expect(row.rec.loadPerClip).toBeLessThanOrEqual(36);
+  });
+});
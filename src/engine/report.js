@@ -0,0 +1,53 @@
+// Plain-data summary of a calculated job: per-zone recommendation, clip and channel totals, input
+// issues. This is the CLI's JSON output and the embeddable widget's result event, so it stays
+// JSON-safe and in the engine's imperial units whatever the job's display units.
+import { findChannel } from "./channels.js";
+import { summarizeProject } from "./evaluate.js";
+import { effectiveCapacity } from "./products.js";
+import { issueMessage } from "./validate.js";
+
+// job: { units, product, channel, zones } as parsed from a job file; results: evaluate() per zone
+export function buildReport(job, results) {
+  const { units, product, channel, zones } = job;
+  const summary = summarizeProject(results);
+  return {
+    units,
+    product: { name: product.name, capacityLb: product.capacityLb, derate: product.derate, effectiveLb: effectiveCapacity(product) },
+    channel: { name: findChannel(channel.channelId).name, deflectionLimit: channel.deflectionLimit },
+    zones: zones.map((z, i) => {
+      const r = results[i];
+      return {
+        name: z.name,
+        area: r.area,
+        pass: !!r.rec && r.dedicatedOk && r.regionsOk,
+        // Validation errors (zone not calculated) and plausibility warnings; messages in imperial units
+        inputsOk: r.inputsOk,
+        issues: r.issues.map(issue => ({ ...issue, message: issueMessage(issue, "imperial") })),
+        dedicatedOk: r.dedicatedOk,
+        overloadedItems: r.dedicatedRows.filter(row => !row.pass).map(row => ({ name: row.name, loadPerClip: row.load })),
+        gridPsf: r.gridPsf,
+        channelOC: r.rec ? r.rec.channelOC : null,
+        clipOC: r.rec ? r.rec.clipOC : null,
+        loadPerClip: r.rec ? r.rec.loadPerClip : null,
+        safety: r.rec ? r.rec.safety : null,
+        deflectionIn: r.rec && r.rec.channel ? r.rec.channel.deflectionIn : null,
+        // Criterion closest to its limit: for a passing zone the recommended combo, otherwise the least-failing combo
+        governs: r.combos.length ? (r.rec || r.combos.reduce((a, c) => (c.utilization < a.utilization ? c : a))).governs : null,
+        clipCap: r.clipCap,
+        clips: r.totalClips,
+        channelLf: r.channelLf,
+        // Load regions: the spacing each needs (field spacing where it still passes) and the clips it adds
+        regions: r.regionRows.map(row => ({
+          name: row.name, areaFt2: row.areaFt2, psf: row.psf, pass: row.pass, local: row.local,
+          channelOC: row.rec ? row.rec.channelOC : null, clipOC: row.rec ? row.rec.clipOC : null,
+          loadPerClip: row.rec ? row.rec.loadPerClip : null, extraClips: row.extraClips
+        })),
+        // Optimizer zones: the ranking objective and what limits the recommended spacing
+        optimizer: r.optimizer ? { objective: r.optimizer.objective, limits: r.rec ? r.rec.limits : null } : null,
+        // Step-by-step derivation of the numbers above (see explain.js; stepText() words a step)
+        trace: r.trace
+      };
+    }),
+    totals: { clips: summary.totalClips, channelLf: summary.totalChannelLf, failingZones: summary.failingZones }
+  };
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { buildReport } from "./report.js";
+import { defaultChannelCheck } from "./channels.js";
+import { defaultInputs, evaluate } from "./evaluate.js";
+import { defaultProduct } from "./products.js";
+
+const job = (zones) => ({ units: "metric", product: defaultProduct(), channel: defaultChannelCheck(), zones });
+
+describe("result report", () => {
+  it("summarizes each zone and the project in imperial units", () => {
+    const zones = [{ name: "Main", ...defaultInputs() }, { name: "Soffit", ...defaultInputs(), area: 60, allowedChannelSpacings: [24], allowedClipSpacings: [48] }];
+    const report = buildReport(job(zones), zones.map(z => evaluate(z)));
+    expect(report.units).toBe("metric");
+    expect(report.product).toMatchObject({ capacityLb: 36, effectiveLb: 36 });
+    expect(report.zones[0]).toMatchObject({ name: "Main", pass: true, inputsOk: true, issues: [], channelOC: 12, clipOC: 48, clips: 100 });
+    expect(report.zones[1]).toMatchObject({ pass: false, channelOC: null, governs: "clip" });
+    expect(report.totals).toMatchObject({ clips: 100, failingZones: 1 });
+    expect(report.zones[1].trace.filter(s => s.key === "rejected")).toHaveLength(1);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  it("carries worded issues and has no deflection when the channel check is off", () => {
+    const zone = { name: "Main", ...defaultInputs(), miscPsf: 11 };
+    const [z] = buildReport(job([zone]), [evaluate({ ...zone, channelCheck: null })]).zones;
+    expect(z.deflectionIn).toBeNull();
+    expect(z.issues).toEqual([{ path: "miscPsf", level: "warning", code: "high", limit: 10, kind: "psf", message: "Unusually high (over 10 psf); check the value" }]);
+  });
+});
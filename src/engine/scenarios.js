@@ -0,0 +1,83 @@
+// What-if scenarios: named snapshots of one zone's inputs ("no OSB", "clouds dedicated", ...),
+// evaluated side by side and compared against a baseline. A scenario is { name, inputs }, where
+// inputs carries every zone input (the keys of defaultInputs()).
+import { calcZoneCost } from "./bom.js";
+import { defaultInputs, evaluate } from "./evaluate.js";
+
+export const SCENARIO_INPUT_KEYS = Object.keys(defaultInputs());
+
+// Short names for the inputs a scenario changed
+const INPUT_LABELS = {
+  area: "area", shape: "shape", lengthFt: "room size", widthFt: "room size", edgeOffsetIn: "edge offset",
+  channelDirection: "channel direction", layers: "layers", miscPsf: "misc load", mountMode: "point-load mounting",
+  pointLoads: "point loads", regions: "load regions", spacingMode: "spacing mode", allowedChannelSpacings: "channel spacings",
+  allowedClipSpacings: "clip spacings", constrainToStructure: "clips on structure", structureSpacing: "structure spacing",
+  optimizer: "optimizer settings"
+};
+
+// Deep copy of a zone's inputs (UI keys such as id, name and the zone's own scenarios are left out)
+export function pickInputs(zone) {
+  const inputs = {};
+  SCENARIO_INPUT_KEYS.forEach((key) => { if (key in zone) inputs[key] = JSON.parse(JSON.stringify(zone[key])); });
+  return inputs;
+}
+
+export function scenarioFromZone(zone, name) {
+  return { name, inputs: pickInputs(zone) };
+}
+
+// Labels of the inputs that differ between two input sets, in input order, without repeats
+export function changedInputs(base, other) {
+  const out = [];
+  SCENARIO_INPUT_KEYS.forEach((key) => {
+    if (JSON.stringify(base[key]) === JSON.stringify(other[key])) return;
+    const label = INPUT_LABELS[key] || key;
+    if (!out.includes(label)) out.push(label);
+  });
+  return out;
+}
+
+function scenarioMetrics(inputs, settings) {
+  const r = evaluate({ ...inputs, clipCap: settings.clipCap, channelCheck: settings.channelCheck, bom: settings.bom });
+  return {
+    result: r,
+    pass: !!r.rec && r.dedicatedOk && r.regionsOk,
+    inputsOk: r.inputsOk,
+    gridPsf: r.gridPsf,
+    channelOC: r.rec ? r.rec.channelOC : null,
+    clipOC: r.rec ? r.rec.clipOC : null,
+    safety: r.rec ? r.rec.safety : null,
+    clips: r.totalClips,
+    cost: calcZoneCost(inputs, r, settings.bom)
+  };
+}
+
+function differs(a, b) {
+  if (a === null || b === null) return a !== b;
+  return Math.abs(a - b) > 1e-9;
+}
+
+// columns: [{ name, inputs }]; settings: { clipCap, channelCheck, bom }.
+// Each row carries its metrics, the inputs changed from the baseline column, which metrics differ
+// (diff.spacing covers both spacings) and the signed change of the numeric ones (delta; null when
+// either side has no passing spacing).
+export function compareScenarios(columns, baseIndex, settings) {
+  const rows = columns.map(c => ({ name: c.name, ...scenarioMetrics(c.inputs, settings) }));
+  const base = rows[baseIndex] || rows[0];
+  const baseInputs = (columns[baseIndex] || columns[0]).inputs;
+  return rows.map((row, i) => {
+    const diff = {
+      pass: row.pass !== base.pass,
+      gridPsf: differs(row.gridPsf, base.gridPsf),
+      spacing: differs(row.channelOC, base.channelOC) || differs(row.clipOC, base.clipOC),
+      safety: differs(row.safety, base.safety),
+      clips: differs(row.clips, base.clips),
+      cost: differs(row.cost, base.cost)
+    };
+    const delta = {};
+    ["gridPsf", "safety", "clips", "cost"].forEach((key) => {
+      delta[key] = row[key] === null || base[key] === null ? null : row[key] - base[key];
+    });
+    return { ...row, baseline: row === base, changes: changedInputs(baseInputs, columns[i].inputs), diff, delta };
+  });
+}
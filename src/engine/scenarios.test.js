@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { changedInputs, compareScenarios, pickInputs, scenarioFromZone } from "./scenarios.js";
+import { defaultInputs } from "./evaluate.js";
+import { defaultBomSettings } from "./bom.js";
+import { defaultChannelCheck } from "./channels.js";
+import { layerFromMaterial } from "./materials.js";
+
+const zone = { id: "zone-1", name: "Main", ...defaultInputs(), scenarios: [] };
+const settings = { clipCap: 36, channelCheck: defaultChannelCheck(), bom: { ...defaultBomSettings(), prices: { clips: 2 } } };
+
+describe("scenarios", () => {
+  it("snapshots only the zone inputs, as a deep copy", () => {
+    const sc = scenarioFromZone(zone, "Copy");
+    expect(sc.name).toBe("Copy");
+    expect(Object.keys(sc.inputs)).toEqual(Object.keys(defaultInputs()));
+    sc.inputs.layers[0].psf = 99;
+    expect(zone.layers[0].psf).not.toBe(99);
+  });
+
+  it("names the inputs that changed", () => {
+    expect(changedInputs(pickInputs(zone), { ...pickInputs(zone), mountMode: "dedicated", lengthFt: 30, widthFt: 12 })).toEqual(["room size", "point-load mounting"]);
+    expect(changedInputs(pickInputs(zone), pickInputs(zone))).toEqual([]);
+  });
+
+  it("compares every scenario against the baseline", () => {
+    const noOsb = scenarioFromZone({ ...zone, layers: zone.layers.filter(l => l.materialId !== "osb-23-32") }, "No OSB");
+    const threeLayers = scenarioFromZone({ ...zone, layers: zone.layers.concat([layerFromMaterial("gyp-5-8")]) }, "3 layers");
+    const [base, lighter, heavier] = compareScenarios([{ name: "Current inputs", inputs: pickInputs(zone) }, noOsb, threeLayers], 0, settings);
+    expect(base).toMatchObject({ baseline: true, gridPsf: 7.9, channelOC: 12, clipOC: 48, clips: 100, cost: 200, changes: [] });
+    expect(lighter).toMatchObject({ baseline: false, channelOC: 24, clipOC: 36, clips: 67, changes: ["layers"] });
+    expect(lighter.diff).toMatchObject({ gridPsf: true, spacing: true, clips: true, cost: true, pass: false });
+    expect(lighter.delta.gridPsf).toBeCloseTo(-2.7, 10);
+    expect(lighter.delta.cost).toBe(-66);
+    expect(heavier.delta.clips).toBe(34);
+  });
+
+  it("can use any column as the baseline", () => {
+    const failing = scenarioFromZone({ ...zone, allowedChannelSpacings: [24], allowedClipSpacings: [48] }, "Wide only");
+    const rows = compareScenarios([{ name: "Current inputs", inputs: pickInputs(zone) }, failing], 1, settings);
+    expect(rows[1].baseline).toBe(true);
+    expect(rows[0]).toMatchObject({ changes: ["channel spacings", "clip spacings"], diff: { pass: true, spacing: true } });
+    expect(rows[0].delta.safety).toBeNull();
+  });
+});
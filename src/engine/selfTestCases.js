@@ -0,0 +1,39 @@
+// Reference cases for the engine. Run by the automated suite (evaluate.test.js)
+// and rendered by the in-page Built-in tests panel.
+import { layerFromMaterial } from "./materials.js";
+import { pointLoadFromPreset } from "./pointLoads.js";
+
+// 23/32 OSB (2.7) + 2x 5/8 drywall (2.5) + insulation (0.2) = 7.9 psf
+const ASSEMBLY = {
+  layers: [layerFromMaterial("osb-23-32"), layerFromMaterial("gyp-5-8"), layerFromMaterial("gyp-5-8"), layerFromMaterial("insulation")],
+  mountMode: "distributed",
+  area: 400
+};
+
+export const SELF_TEST_CASES = [
+  {
+    name: "No clouds, OSB + 2x gyp; only (16,48) and (24,48) allowed -> no pass",
+    cfg: { ...ASSEMBLY, allowedChannelSpacings: [16, 24], allowedClipSpacings: [48] },
+    expect: (r) => r.rec === null
+  },
+  {
+    name: "Same assembly; allow (16,24) -> recommend 16/24 (pass)",
+    cfg: { ...ASSEMBLY, allowedChannelSpacings: [16], allowedClipSpacings: [24] },
+    expect: (r) => !!r.rec && r.rec.channelOC === 16 && r.rec.clipOC === 24
+  },
+  {
+    name: "Add distributed clouds (4x 60 lb), wide menu -> 24/24 should pass",
+    cfg: { ...ASSEMBLY, pointLoads: [pointLoadFromPreset("cloud-4x4", 4)], allowedChannelSpacings: [12, 16, 24], allowedClipSpacings: [24, 32, 36, 48] },
+    expect: (r) => !!r.rec && (r.rec.channelOC * r.rec.clipOC) >= (24 * 24) // ensures 24/24 or a wider-equal product passes
+  },
+  {
+    name: "Same as above but +1.0 psf misc makes 24/24 fail; expect 16/32",
+    cfg: { ...ASSEMBLY, miscPsf: 1.0, pointLoads: [pointLoadFromPreset("cloud-4x4", 4)], allowedChannelSpacings: [12, 16, 24], allowedClipSpacings: [24, 32, 36, 48] },
+    expect: (r) => !!r.rec && r.rec.channelOC === 16 && r.rec.clipOC === 32
+  },
+  {
+    name: "Engine includes 36-in clip spacing among evaluated combos",
+    cfg: { ...ASSEMBLY, allowedChannelSpacings: [12, 16, 24], allowedClipSpacings: [24, 32, 36, 48] },
+    expect: (r) => r.combos.some(c => c.clipOC === 36)
+  }
+];
@@ -0,0 +1,80 @@
+// Unit systems for input and display. The engine itself always works in one internal
+// (imperial) system: spacings in inches, lengths ft, areas ft^2, weights lb, loads psf.
+// Metric values are converted at the UI/CLI boundary, so the math is identical either way.
+
+export const IN2_PER_FT2 = 144.0;
+export const UNIT_SYSTEMS = ["imperial", "metric"];
+export const DEFAULT_UNITS = "imperial";
+
+// Quantity kinds, named after their internal unit. factor: metric value per internal unit.
+const KINDS = {
+  in: { imperial: "in", metric: "mm", factor: 25.4 },
+  ft: { imperial: "ft", metric: "m", factor: 0.3048 },
+  ft2: { imperial: "ft^2", metric: "m^2", factor: 0.09290304 },
+  in2: { imperial: "in^2", metric: "mm^2", factor: 645.16 },
+  in3: { imperial: "in^3", metric: "mm^3", factor: 16387.064 }, // section modulus
+  in4: { imperial: "in^4", metric: "mm^4", factor: 416231.4256 }, // moment of inertia
+  lb: { imperial: "lb", metric: "kg", factor: 0.45359237 },
+  psf: { imperial: "psf", metric: "kg/m^2", factor: 0.45359237 / 0.09290304 },
+  pli: { imperial: "lb/in", metric: "N/mm", factor: 4.4482216152605 / 25.4 }, // channel line load
+  psi: { imperial: "psi", metric: "MPa", factor: 0.00689475729 }, // channel bending stress
+  perFt2: { imperial: "ft^2", metric: "m^2", factor: 1 / 0.09290304 } // prices per unit area
+};
+
+function kindOf(kind) {
+  const k = KINDS[kind];
+  if (!k) throw new Error("Unknown quantity kind: " + kind);
+  return k;
+}
+
+// Trim float noise so 400 mm -> in -> mm reads back as 400
+function clean(x) {
+  return isFinite(x) ? Number(x.toPrecision(12)) : x;
+}
+
+// Internal value -> value in the given unit system
+export function toUnits(kind, value, units) {
+  return units === "metric" ? clean(value * kindOf(kind).factor) : value;
+}
+
+// Value entered in the given unit system -> internal value
+export function fromUnits(kind, value, units) {
+  return units === "metric" ? value / kindOf(kind).factor : value;
+}
+
+export function unitLabel(kind, units) {
+  return kindOf(kind)[units === "metric" ? "metric" : "imperial"];
+}
+
+// "12.5 psf" / "61.03 kg/m^2"; "-" for Infinity/NaN
+export function formatQty(kind, value, units, digits) {
+  if (!isFinite(value)) return "-";
+  const p = Math.pow(10, typeof digits === "number" ? digits : 2);
+  return String(Math.round(toUnits(kind, value, units) * p) / p) + " " + unitLabel(kind, units);
+}
+
+// Spacing label: 16" / 406 mm
+export function formatSpacing(inches, units) {
+  return units === "metric" ? formatQty("in", inches, units, 0) : String(Math.round(inches * 100) / 100) + "\"";
+}
+
+// Channel run length, rounded up to whole feet / metres: 400 ft / 122 m
+export function formatRunLength(ft, units) {
+  return Math.ceil(toUnits("ft", ft, units)) + " " + unitLabel("ft", units);
+}
+
+// Spacing menus, in each system's own units (inches / millimetres); structure = common joist spacings
+export const SPACING_PRESETS = {
+  imperial: { channel: [12, 16, 24], clip: [24, 32, 36, 48], structure: [16, 19.2, 24] },
+  metric: { channel: [300, 400, 600], clip: [600, 800, 900, 1200], structure: [400, 450, 600] }
+};
+
+// Preset menus as internal inch values
+export function spacingPresets(units) {
+  const p = SPACING_PRESETS[units === "metric" ? "metric" : "imperial"];
+  return {
+    channel: p.channel.map(v => fromUnits("in", v, units)),
+    clip: p.clip.map(v => fromUnits("in", v, units)),
+    structure: p.structure.map(v => fromUnits("in", v, units))
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { SPACING_PRESETS, formatQty, fromUnits, spacingPresets, toUnits, unitLabel } from "./units.js";
+import { evaluate } from "./evaluate.js";
+
+describe("unit conversion", () => {
+  it("converts internal imperial values to metric and labels them", () => {
+    expect(toUnits("in", 16, "metric")).toBe(406.4);
+    expect(toUnits("lb", 36, "metric")).toBeCloseTo(16.329, 3);
+    expect(toUnits("psf", 1, "metric")).toBeCloseTo(4.8824, 4);
+    expect(toUnits("ft2", 400, "metric")).toBeCloseTo(37.161, 3);
+    expect(formatQty("in4", 0.0091, "metric", 0)).toBe("3788 mm^4");
+    expect(formatQty("pli", 1, "metric", 4)).toBe("0.1751 N/mm");
+    expect(unitLabel("psf", "metric")).toBe("kg/m^2");
+    expect(formatQty("psf", 7.9, "metric")).toBe("38.57 kg/m^2");
+    expect(formatQty("psf", 7.9, "imperial")).toBe("7.9 psf");
+    expect(formatQty("lb", Infinity, "metric")).toBe("-");
+  });
+
+  it("leaves imperial values untouched", () => {
+    expect(toUnits("in", 19.2, "imperial")).toBe(19.2);
+    expect(fromUnits("psf", 2.5, "imperial")).toBe(2.5);
+  });
+
+  it("round-trips metric entries without float noise", () => {
+    fc.assert(fc.property(fc.constantFrom("in", "ft", "ft2", "lb", "psf"), fc.integer({ min: 0, max: 100000 }), (kind, n) => {
+      const entered = n / 100;
+      expect(toUnits(kind, fromUnits(kind, entered, "metric"), "metric")).toBe(entered);
+    }));
+  });
+
+  it("offers 400/600 mm style spacing presets as inch values", () => {
+    expect(SPACING_PRESETS.metric.channel).toContain(400);
+    expect(spacingPresets("metric").channel.map(v => toUnits("in", v, "metric"))).toEqual(SPACING_PRESETS.metric.channel);
+    expect(spacingPresets("imperial")).toEqual(SPACING_PRESETS.imperial);
+  });
+});
+
+describe("evaluate with metric-entered inputs", () => {
+  it("gives the same result as the equivalent imperial inputs", () => {
+    const imperial = { area: 400, layers: [{ name: "gyp", psf: 2.5 }, { name: "gyp", psf: 2.5 }], miscPsf: 0.5, allowedChannelSpacings: [16, 24], allowedClipSpacings: [24, 48] };
+    const metric = {
+      area: fromUnits("ft2", toUnits("ft2", 400, "metric"), "metric"),
+      layers: imperial.layers.map(l => ({ ...l, psf: fromUnits("psf", toUnits("psf", l.psf, "metric"), "metric") })),
+      miscPsf: fromUnits("psf", toUnits("psf", 0.5, "metric"), "metric"),
+      allowedChannelSpacings: [406.4, 609.6].map(v => fromUnits("in", v, "metric")),
+      allowedClipSpacings: [609.6, 1219.2].map(v => fromUnits("in", v, "metric"))
+    };
+    const a = evaluate(imperial);
+    const b = evaluate(metric);
+    expect(b.rec.channelOC).toBeCloseTo(a.rec.channelOC, 9);
+    expect(b.rec.clipOC).toBeCloseTo(a.rec.clipOC, 9);
+    expect(b.rec.loadPerClip).toBeCloseTo(a.rec.loadPerClip, 9);
+    expect(b.totalClips).toBe(a.totalClips);
+  });
+});
@@ -0,0 +1,131 @@
+// Input validation for one zone. Rules are declarative and in internal (imperial) units:
+//   kind: quantity kind for messages (see units.js); integer: whole numbers only;
+//   positive: must be > 0; min / max: hard limits; warnBelow / warnAbove: plausible range.
+// Breaking a hard rule is an "error" (the zone is not calculated); leaving the plausible range
+// is a "warning" (calculated, but worth a second look). Issues are { path, level, code, limit, kind },
+// with paths in job-file form ("layers[0].psf"); issueMessage() words one for display.
+import { formatQty } from "./units.js";
+
+export const FIELD_RULES = {
+  area: { kind: "ft2", positive: true, warnAbove: 20000 },
+  lengthFt: { kind: "ft", positive: true, warnAbove: 200 },
+  widthFt: { kind: "ft", positive: true, warnAbove: 200 },
+  edgeOffsetIn: { kind: "in", min: 0, warnAbove: 24 },
+  miscPsf: { kind: "psf", min: 0, warnAbove: 10 },
+  structureSpacing: { kind: "in", positive: true, warnBelow: 12, warnAbove: 48 },
+  "layers.psf": { kind: "psf", min: 0 },
+  "pointLoads.qty": { integer: true, min: 0 },
+  "pointLoads.weightLb": { kind: "lb", min: 0, warnAbove: 500 },
+  "pointLoads.widthFt": { kind: "ft", positive: true },
+  "pointLoads.lengthFt": { kind: "ft", positive: true },
+  "pointLoads.clipsPerItem": { integer: true, min: 1 },
+  "regions.lengthFt": { kind: "ft", positive: true },
+  "regions.widthFt": { kind: "ft", positive: true },
+  "regions.extraPsf": { kind: "psf", min: 0, warnAbove: 10 },
+  "regions.pointLoadLb": { kind: "lb", min: 0, warnAbove: 1000 },
+  allowedChannelSpacings: { kind: "in", positive: true },
+  allowedClipSpacings: { kind: "in", positive: true },
+  "optimizer.minChannelIn": { kind: "in", positive: true },
+  "optimizer.maxChannelIn": { kind: "in", positive: true },
+  "optimizer.channelStepIn": { kind: "in", positive: true },
+  "optimizer.maxClipIn": { kind: "in", positive: true, warnAbove: 48 },
+  // The total the clips carry (assembly + spread point loads + misc), not an input of its own
+  gridPsf: { kind: "psf", warnAbove: 20 }
+};
+
+// First issue one value raises under a rule, or null
+export function checkValue(rule, v) {
+  const issue = (level, code, limit) => ({ level, code, limit: limit === undefined ? null : limit, kind: rule.kind || null });
+  if (typeof v !== "number" || !Number.isFinite(v)) return issue("error", "number");
+  if (rule.integer && !Number.isInteger(v)) return issue("error", "integer");
+  if (rule.positive && !(v > 0)) return issue("error", "positive");
+  if (typeof rule.min === "number" && v < rule.min) return issue("error", rule.min === 0 ? "negative" : "min", rule.min);
+  if (typeof rule.max === "number" && v > rule.max) return issue("error", "max", rule.max);
+  if (typeof rule.warnBelow === "number" && v < rule.warnBelow) return issue("warning", "low", rule.warnBelow);
+  if (typeof rule.warnAbove === "number" && v > rule.warnAbove) return issue("warning", "high", rule.warnAbove);
+  return null;
+}
+
+// Every issue in a zone's inputs (all of defaultInputs()'s keys present). Fields that do not feed the
+// calculation in the zone's current mode only report what the job file cannot hold either (unused:
+// "number" for an emptied field, "error" for optimizer and spacing values), so a stale but loadable
+// setting cannot block the zone while the reason a job cannot be saved always shows.
+// gridPsf: the zone's total grid load as evaluate() works it out; an implausible total is a warning even
+// when each layer on its own is an ordinary weight.
+export function validateInputs(zone, gridPsf) {
+  const issues = [];
+  const check = (path, ruleKey, v, unused) => {
+    const found = checkValue(FIELD_RULES[ruleKey], v);
+    if (!found || (unused === "number" && found.code !== "number") || (unused === "error" && found.level !== "error")) return;
+    issues.push({ path, ...found });
+  };
+  const each = (listKey, list, keys) => {
+    (list || []).forEach((item, i) => keys.forEach((key) => check(listKey + "[" + i + "]." + key, listKey + "." + key, item[key])));
+  };
+
+  const rect = zone.shape === "rect";
+  check("lengthFt", "lengthFt", zone.lengthFt, !rect && "number");
+  check("widthFt", "widthFt", zone.widthFt, !rect && "number");
+  check("edgeOffsetIn", "edgeOffsetIn", zone.edgeOffsetIn, !rect && "number");
+  check("area", "area", zone.area, rect && "number");
+  each("layers", zone.layers, ["psf"]);
+  check("miscPsf", "miscPsf", zone.miscPsf);
+  each("pointLoads", zone.pointLoads, ["qty", "weightLb", "widthFt", "lengthFt", "clipsPerItem"]);
+  each("regions", zone.regions, ["lengthFt", "widthFt", "extraPsf", "pointLoadLb"]);
+
+  const optimize = zone.spacingMode === "optimize";
+  check("structureSpacing", "structureSpacing", zone.structureSpacing, !optimize && !zone.constrainToStructure && "number");
+  const opt = zone.optimizer || {};
+  ["minChannelIn", "maxChannelIn", "channelStepIn", "maxClipIn"].forEach((key) => check("optimizer." + key, "optimizer." + key, opt[key], !optimize && "error"));
+  if (opt.minChannelIn > opt.maxChannelIn) issues.push({ path: "optimizer.minChannelIn", level: "error", code: "aboveMax", limit: opt.maxChannelIn, kind: "in" });
+  // Clips land on framing, so the widest clip spacing must reach at least the next member
+  if (optimize && zone.structureSpacing > opt.maxClipIn) issues.push({ path: "optimizer.maxClipIn", level: "error", code: "belowStructure", limit: zone.structureSpacing, kind: "in" });
+  ["allowedChannelSpacings", "allowedClipSpacings"].forEach((key) => {
+    const used = !optimize && (key === "allowedChannelSpacings" || !zone.constrainToStructure);
+    const list = zone[key] || [];
+    if (used && list.length === 0) issues.push({ path: key, level: "error", code: "empty", limit: null, kind: null });
+    list.forEach((v, i) => check(key + "[" + i + "]", key, v, !used && "error"));
+  });
+
+  if (Number.isFinite(gridPsf)) check("gridPsf", "gridPsf", gridPsf);
+
+  // Cross-field plausibility: regions are parts of the zone, so together they should fit inside it
+  const area = zone.shape === "rect" ? zone.lengthFt * zone.widthFt : zone.area;
+  let regionArea = 0;
+  (zone.regions || []).forEach((rg) => { regionArea += rg.lengthFt * rg.widthFt; });
+  if (area > 0 && regionArea > area + 1e-9) issues.push({ path: "regions", level: "warning", code: "regionArea", limit: area, kind: "ft2" });
+  return issues;
+}
+
+export function hasErrors(issues) {
+  return issues.some(issue => issue.level === "error");
+}
+
+// path -> the issue to show next to that field (errors before warnings)
+export function issuesByPath(issues) {
+  const out = {};
+  issues.forEach((issue) => {
+    const seen = out[issue.path];
+    if (!seen || (seen.level === "warning" && issue.level === "error")) out[issue.path] = issue;
+  });
+  return out;
+}
+
+export function issueMessage(issue, units) {
+  const limit = issue.kind ? formatQty(issue.kind, issue.limit, units) : String(issue.limit);
+  switch (issue.code) {
+    case "number": return "Enter a number";
+    case "integer": return "Must be a whole number";
+    case "positive": return "Must be greater than 0";
+    case "negative": return "Cannot be negative";
+    case "min": return "Must be at least " + limit;
+    case "max": return "Must be at most " + limit;
+    case "low": return "Unusually low (under " + limit + "); check the value";
+    case "high": return "Unusually high (over " + limit + "); check the value";
+    case "aboveMax": return "Above the max channel spacing (" + limit + ")";
+    case "belowStructure": return "Below the structure spacing (" + limit + "); clips must land on framing";
+    case "empty": return "Pick at least one spacing";
+    case "regionArea": return "Load regions add up to more than the zone area (" + limit + ")";
+    default: return issue.code;
+  }
+}
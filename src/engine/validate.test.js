@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { FIELD_RULES, checkValue, hasErrors, issueMessage, issuesByPath, validateInputs } from "./validate.js";
+import { defaultInputs, evaluate, summarizeProject } from "./evaluate.js";
+import { customPointLoad } from "./pointLoads.js";
+
+describe("input validation", () => {
+  it("passes the default inputs with no issues", () => {
+    expect(validateInputs(defaultInputs())).toEqual([]);
+    expect(validateInputs({ ...defaultInputs(), shape: "rect", spacingMode: "optimize" })).toEqual([]);
+  });
+
+  it("applies integer, sign and plausible-range rules", () => {
+    expect(checkValue(FIELD_RULES["pointLoads.qty"], 2.5)).toMatchObject({ level: "error", code: "integer" });
+    expect(checkValue(FIELD_RULES["pointLoads.clipsPerItem"], 0)).toMatchObject({ level: "error", code: "min", limit: 1 });
+    expect(checkValue(FIELD_RULES["pointLoads.weightLb"], -1)).toMatchObject({ level: "error", code: "negative" });
+    expect(checkValue(FIELD_RULES.area, 0)).toMatchObject({ level: "error", code: "positive" });
+    expect(checkValue(FIELD_RULES.miscPsf, NaN)).toMatchObject({ level: "error", code: "number" });
+    expect(checkValue(FIELD_RULES.miscPsf, 12)).toMatchObject({ level: "warning", code: "high", limit: 10, kind: "psf" });
+    expect(checkValue(FIELD_RULES.miscPsf, 10)).toBeNull();
+  });
+
+  it("reports paths in job-file form and only reports what a job file cannot hold for fields the current mode does not use", () => {
+    const zone = {
+      ...defaultInputs(),
+      layers: [{ name: "Lead", psf: -1 }],
+      pointLoads: [{ ...customPointLoad(), qty: 1.5 }],
+      allowedClipSpacings: [],
+      structureSpacing: 0,
+      optimizer: { minChannelIn: 30, maxChannelIn: 20, channelStepIn: 1, maxClipIn: 48, objective: "clips" }
+    };
+    const issues = validateInputs(zone);
+    expect(issues.map(i => i.path + " " + i.level)).toEqual(["layers[0].psf error", "pointLoads[0].qty error", "optimizer.minChannelIn error", "allowedClipSpacings error"]);
+    expect(validateInputs({ ...zone, optimizer: defaultInputs().optimizer, structureSpacing: NaN }).map(i => i.path + " " + i.code)).toContain("structureSpacing number");
+    expect(validateInputs({ ...zone, optimizer: { ...defaultInputs().optimizer, maxClipIn: 96 } }).map(i => i.path)).not.toContain("optimizer.maxClipIn");
+    const optimizeIssues = validateInputs({ ...zone, spacingMode: "optimize" }).map(i => i.path + " " + i.code);
+    expect(optimizeIssues).toContain("structureSpacing positive");
+    expect(optimizeIssues).toContain("optimizer.minChannelIn aboveMax");
+    expect(optimizeIssues).not.toContain("allowedClipSpacings empty");
+    const framing = evaluate({ ...defaultInputs(), spacingMode: "optimize", structureSpacing: 24, optimizer: { ...defaultInputs().optimizer, maxClipIn: 16 } });
+    expect(framing.inputsOk).toBe(false);
+    expect(framing.rec).toBeNull();
+    expect(issueMessage(framing.issues[0], "imperial")).toBe("Below the structure spacing (24 in); clips must land on framing");
+  });
+
+  it("warns about an implausible total grid load, not about each ordinary layer", () => {
+    const heavy = evaluate({ ...defaultInputs(), layers: [{ name: "Lead", psf: 9 }, { name: "Lead", psf: 9 }, { name: "Lead", psf: 9 }] });
+    expect(heavy.inputsOk).toBe(true);
+    expect(heavy.issues).toEqual([{ path: "gridPsf", level: "warning", code: "high", limit: 20, kind: "psf" }]);
+    expect(issueMessage(heavy.issues[0], "imperial")).toBe("Unusually high (over 20 psf); check the value");
+    expect(validateInputs({ ...defaultInputs(), layers: [{ name: "Lead", psf: 14 }] }, 14)).toEqual([]);
+    expect(evaluate(defaultInputs()).issues).toEqual([]);
+  });
+
+  it("words issues in the display units and keeps errors ahead of warnings per field", () => {
+    const [high] = validateInputs({ ...defaultInputs(), miscPsf: 12 });
+    expect(issueMessage(high, "imperial")).toBe("Unusually high (over 10 psf); check the value");
+    expect(issueMessage(high, "metric")).toBe("Unusually high (over 48.82 kg/m^2); check the value");
+    const byPath = issuesByPath([{ path: "a", level: "warning", code: "high" }, { path: "a", level: "error", code: "negative" }]);
+    expect(byPath.a.code).toBe("negative");
+  });
+
+  it("refuses to recommend from invalid inputs and counts the zone as failing", () => {
+    const r = evaluate({ ...defaultInputs(), pointLoads: [{ ...customPointLoad(), qty: 2.5, weightLb: 30 }] });
+    expect(r.inputsOk).toBe(false);
+    expect(r.rec).toBeNull();
+    expect(r.combos).toEqual([]);
+    expect(r.totalClips).toBe(0);
+    expect(summarizeProject([r]).failingZones).toBe(1);
+    const warned = evaluate({ ...defaultInputs(), miscPsf: 0.5, regions: [{ name: "Big", lengthFt: 30, widthFt: 30, extraPsf: 0, pointLoadLb: 0 }] });
+    expect(warned.inputsOk).toBe(true);
+    expect(warned.issues.map(i => i.code)).toEqual(["regionArea"]);
+    expect(warned.rec).not.toBeNull();
+  });
+
+  it("flags every non-integer count as an error", () => {
+    fc.assert(fc.property(fc.double({ min: 0, max: 1000, noNaN: true }).filter(v => !Number.isInteger(v)), (qty) => {
+      const issues = validateInputs({ ...defaultInputs(), pointLoads: [{ ...customPointLoad(), qty }] });
+      return hasErrors(issues) && issues[0].path === "pointLoads[0].qty";
+    }));
+  });
+});
@@ -0,0 +1,446 @@
+// Job files: versioned JSON schema for a whole project (all zones' inputs),
+// plus URL-hash and localStorage helpers. Pure JS so the CLI can share it.
+import {
+  CHANNEL_CATALOG, DEFAULT_CLIP_CAP, DEFAULT_UNITS, DEFLECTION_LIMITS, LEGACY_ASSEMBLY_KEYS, LEGACY_CLOUD_KEYS, OPTIMIZER_OBJECTIVES, UNIT_SYSTEMS,
+  defaultBomSettings, defaultChannelCheck, defaultInputs, defaultOptimizer, defaultProduct,
+  hasLegacyAssembly, hasLegacyClouds, layersFromLegacy, pointLoadsFromLegacy
+} from "./engine/index.js";
+
+export const JOB_SCHEMA = "genieclip-job";
+// v2: clip product replaces the bare clipCap number; v3: layer stack replaces OSB/drywall fields;
+// v4: point-load items replace the c4x1..c4x4 cloud counts; v5: bill-of-materials settings and prices;
+// v6: optional rectangular room geometry (shape, lengthFt, widthFt, edgeOffsetIn, channelDirection);
+// v7: report header (preparer, date); v8: display units (values in the file stay imperial);
+// v9: per-zone spacing optimizer (spacingMode, optimizer); v10: per-zone load regions;
+// v11: furring channel and deflection limit for the channel span check; v12: per-zone what-if scenarios
+export const JOB_VERSION = 12;
+export const AUTOSAVE_KEY = "genieclip:autosave";
+const HASH_PREFIX = "job=";
+
+export class JobError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? "Invalid job file: " + errors[0] : "Invalid job file:\n- " + errors.join("\n- "));
+    this.name = "JobError";
+    this.errors = errors;
+  }
+}
+
+// Pre-v3 assembly fields and pre-v4 cloud counts, accepted on load and converted
+const LEGACY_FIELDS = {
+  includeOSB: "boolean", osbPsf: "number", drywallLayers: "nonNegative", drywallPsf: "number", insulPsf: "number",
+  c4x1: "count", c4x2: "count", c4x3: "count", c4x4: "count"
+};
+
+// Per-zone fields and the type each must have when present
+const ZONE_FIELDS = {
+  name: "string",
+  area: "number",
+  shape: ["area", "rect"],
+  lengthFt: "number",
+  widthFt: "number",
+  edgeOffsetIn: "number",
+  channelDirection: ["length", "width"],
+  layers: "layers",
+  miscPsf: "number",
+  mountMode: ["distributed", "dedicated"],
+  pointLoads: "pointLoads",
+  regions: "regions",
+  spacingMode: ["menu", "optimize"],
+  allowedChannelSpacings: "spacings",
+  allowedClipSpacings: "spacings",
+  constrainToStructure: "boolean",
+  structureSpacing: "number",
+  optimizer: "optimizer",
+  scenarios: "scenarios"
+};
+
+// A scenario's inputs are a zone without its name and scenarios
+const SCENARIO_INPUT_FIELDS = {};
+Object.keys(ZONE_FIELDS).forEach((key) => { if (key !== "name" && key !== "scenarios") SCENARIO_INPUT_FIELDS[key] = ZONE_FIELDS[key]; });
+
+const OPTIMIZER_NUMBER_FIELDS = ["minChannelIn", "maxChannelIn", "channelStepIn", "maxClipIn"];
+
+function describe(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "an array";
+  if (typeof v === "string") return JSON.stringify(v);
+  return typeof v === "object" ? "an object" : String(v);
+}
+
+function checkLayer(path, layer, errors) {
+  if (!layer || typeof layer !== "object" || Array.isArray(layer)) {
+    errors.push(path + ": expected a layer object, got " + describe(layer));
+    return;
+  }
+  if (typeof layer.name !== "string") errors.push(path + ".name: expected a string, got " + describe(layer.name));
+  if (typeof layer.psf !== "number" || !Number.isFinite(layer.psf) || layer.psf < 0) errors.push(path + ".psf: expected a non-negative number, got " + describe(layer.psf));
+  if ("materialId" in layer && layer.materialId !== null && typeof layer.materialId !== "string") errors.push(path + ".materialId: expected a string or null, got " + describe(layer.materialId));
+  if ("thicknessIn" in layer && layer.thicknessIn !== null && (typeof layer.thicknessIn !== "number" || !(layer.thicknessIn >= 0))) errors.push(path + ".thicknessIn: expected a non-negative number or null, got " + describe(layer.thicknessIn));
+}
+
+function checkPointLoad(path, item, errors) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    errors.push(path + ": expected a point-load object, got " + describe(item));
+    return;
+  }
+  if (typeof item.name !== "string") errors.push(path + ".name: expected a string, got " + describe(item.name));
+  ["qty", "weightLb", "widthFt", "lengthFt", "clipsPerItem"].forEach((key) => {
+    const v = item[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) errors.push(path + "." + key + ": expected a non-negative number, got " + describe(v));
+  });
+}
+
+function checkRegion(path, region, errors) {
+  if (!region || typeof region !== "object" || Array.isArray(region)) {
+    errors.push(path + ": expected a region object, got " + describe(region));
+    return;
+  }
+  if (typeof region.name !== "string") errors.push(path + ".name: expected a string, got " + describe(region.name));
+  ["lengthFt", "widthFt"].forEach((key) => {
+    const v = region[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || !(v > 0)) errors.push(path + "." + key + ": expected a positive number, got " + describe(v));
+  });
+  ["extraPsf", "pointLoadLb"].forEach((key) => {
+    const v = region[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) errors.push(path + "." + key + ": expected a non-negative number, got " + describe(v));
+  });
+}
+
+// Only the scenario's shape here; its inputs are validated field by field in parseZone
+function checkScenario(path, sc, errors) {
+  if (!sc || typeof sc !== "object" || Array.isArray(sc)) {
+    errors.push(path + ": expected a scenario object, got " + describe(sc));
+    return;
+  }
+  if (typeof sc.name !== "string") errors.push(path + ".name: expected a string, got " + describe(sc.name));
+  if (!sc.inputs || typeof sc.inputs !== "object" || Array.isArray(sc.inputs)) errors.push(path + ".inputs: expected an object, got " + describe(sc.inputs));
+}
+
+function checkOptimizer(path, opt, errors) {
+  if (!opt || typeof opt !== "object" || Array.isArray(opt)) {
+    errors.push(path + ": expected an object, got " + describe(opt));
+    return;
+  }
+  OPTIMIZER_NUMBER_FIELDS.forEach((key) => {
+    if (key in opt && (typeof opt[key] !== "number" || !(opt[key] > 0) || !Number.isFinite(opt[key]))) errors.push(path + "." + key + ": expected a positive number, got " + describe(opt[key]));
+  });
+  if ("objective" in opt) checkField(path + ".objective", OPTIMIZER_OBJECTIVES, opt.objective, errors);
+  if (opt.minChannelIn > opt.maxChannelIn) errors.push(path + ": minChannelIn (" + opt.minChannelIn + ") is greater than maxChannelIn (" + opt.maxChannelIn + ")");
+}
+
+function checkField(path, type, v, errors) {
+  if (Array.isArray(type)) {
+    if (!type.includes(v)) errors.push(path + ": expected one of " + type.join(", ") + ", got " + describe(v));
+  } else if (type === "number") {
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(path + ": expected a number, got " + describe(v));
+  } else if (type === "nonNegative") {
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) errors.push(path + ": expected a non-negative number, got " + describe(v));
+  } else if (type === "count") {
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(path + ": expected a number, got " + describe(v));
+    else if (!Number.isInteger(v) || v < 0) errors.push(path + ": expected a whole number (0 or more), got " + describe(v));
+  } else if (type === "spacings") {
+    if (!Array.isArray(v)) errors.push(path + ": expected an array of spacings in inches, got " + describe(v));
+    else v.forEach((x, i) => { if (typeof x !== "number" || !(x > 0)) errors.push(path + "[" + i + "]: expected a positive number, got " + describe(x)); });
+  } else if (type === "layers") {
+    if (!Array.isArray(v)) errors.push(path + ": expected an array of layers, got " + describe(v));
+    else v.forEach((layer, i) => checkLayer(path + "[" + i + "]", layer, errors));
+  } else if (type === "pointLoads") {
+    if (!Array.isArray(v)) errors.push(path + ": expected an array of point-load items, got " + describe(v));
+    else v.forEach((item, i) => checkPointLoad(path + "[" + i + "]", item, errors));
+  } else if (type === "regions") {
+    if (!Array.isArray(v)) errors.push(path + ": expected an array of load regions, got " + describe(v));
+    else v.forEach((region, i) => checkRegion(path + "[" + i + "]", region, errors));
+  } else if (type === "scenarios") {
+    if (!Array.isArray(v)) errors.push(path + ": expected an array of scenarios, got " + describe(v));
+    else v.forEach((sc, i) => checkScenario(path + "[" + i + "]", sc, errors));
+  } else if (type === "optimizer") {
+    checkOptimizer(path, v, errors);
+  } else if (typeof v !== type) {
+    errors.push(path + ": expected a " + type + ", got " + describe(v));
+  }
+}
+
+function pickLegacy(raw, keys, path, errors) {
+  const legacy = {};
+  keys.forEach((key) => {
+    if (!(key in raw)) return;
+    checkField(path + "." + key, LEGACY_FIELDS[key], raw[key], errors);
+    legacy[key] = raw[key];
+  });
+  return legacy;
+}
+
+function parseZone(raw, index, errors) {
+  const path = "zones[" + index + "]";
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push(path + ": expected an object, got " + describe(raw));
+    return null;
+  }
+  const zone = parseZoneInputs(raw, path, ZONE_FIELDS, { ...defaultInputs(), name: "Zone " + (index + 1), scenarios: [] }, errors);
+  if (Array.isArray(zone.scenarios)) {
+    zone.scenarios = zone.scenarios.map((sc, i) => (sc && typeof sc === "object" && sc.inputs && typeof sc.inputs === "object" && !Array.isArray(sc.inputs) ? {
+      name: sc.name,
+      inputs: parseZoneInputs(sc.inputs, path + ".scenarios[" + i + "].inputs", SCENARIO_INPUT_FIELDS, defaultInputs(), errors)
+    } : sc));
+  }
+  return zone;
+}
+
+// Check and copy the given fields over zone (defaults), normalizing nested items and migrating legacy fields
+function parseZoneInputs(raw, path, fields, zone, errors) {
+  Object.keys(fields).forEach((key) => {
+    if (!(key in raw)) return;
+    checkField(path + "." + key, fields[key], raw[key], errors);
+    zone[key] = Array.isArray(raw[key]) ? raw[key].slice() : raw[key];
+  });
+  if (Array.isArray(zone.layers)) {
+    // Keep only known layer keys (bad entries were already reported by checkLayer)
+    zone.layers = zone.layers.map(l => (l && typeof l === "object" ? {
+      materialId: "materialId" in l ? l.materialId : null,
+      name: l.name,
+      thicknessIn: "thicknessIn" in l ? l.thicknessIn : null,
+      psf: l.psf
+    } : l));
+  }
+  if (Array.isArray(zone.pointLoads)) {
+    zone.pointLoads = zone.pointLoads.map(it => (it && typeof it === "object" ? {
+      name: it.name, qty: it.qty, weightLb: it.weightLb, widthFt: it.widthFt, lengthFt: it.lengthFt, clipsPerItem: it.clipsPerItem
+    } : it));
+  }
+  if (Array.isArray(zone.regions)) {
+    zone.regions = zone.regions.map(rg => (rg && typeof rg === "object" ? {
+      name: rg.name, lengthFt: rg.lengthFt, widthFt: rg.widthFt, extraPsf: rg.extraPsf, pointLoadLb: rg.pointLoadLb
+    } : rg));
+  }
+  if (zone.optimizer && typeof zone.optimizer === "object") {
+    // Partial optimizer settings fall back to the defaults
+    const opt = defaultOptimizer();
+    Object.keys(opt).forEach((key) => { if (key in zone.optimizer) opt[key] = zone.optimizer[key]; });
+    zone.optimizer = opt;
+  }
+  if (!("layers" in raw) && hasLegacyAssembly(raw)) zone.layers = layersFromLegacy(pickLegacy(raw, LEGACY_ASSEMBLY_KEYS, path, errors));
+  if (!("pointLoads" in raw) && hasLegacyClouds(raw)) zone.pointLoads = pointLoadsFromLegacy(pickLegacy(raw, LEGACY_CLOUD_KEYS, path, errors));
+  return zone;
+}
+
+// A clip product as stored in jobs and the custom catalog: { id, name, capacityLb, derate }
+export function parseProduct(raw, path, errors) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push(path + ": expected an object, got " + describe(raw));
+    return null;
+  }
+  const product = { id: raw.id, name: raw.name, capacityLb: raw.capacityLb, derate: "derate" in raw ? raw.derate : 1 };
+  if (typeof raw.id !== "string" || !raw.id) errors.push(path + ".id: expected a non-empty string, got " + describe(raw.id));
+  if (typeof raw.name !== "string" || !raw.name.trim()) errors.push(path + ".name: expected a non-empty string, got " + describe(raw.name));
+  if (typeof raw.capacityLb !== "number" || !(raw.capacityLb > 0) || !Number.isFinite(raw.capacityLb)) errors.push(path + ".capacityLb: expected a number greater than 0, got " + describe(raw.capacityLb));
+  if (typeof product.derate !== "number" || !(product.derate > 0 && product.derate <= 1)) errors.push(path + ".derate: expected a factor between 0 (exclusive) and 1, got " + describe(product.derate));
+  return product;
+}
+
+const BOM_NUMBER_FIELDS = ["wastePct", "stickLengthFt", "spliceOverlapIn", "screwsPerClip", "sheetWidthFt", "sheetLengthFt"];
+
+function parseBomSettings(raw, errors) {
+  const bom = defaultBomSettings();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("bom: expected an object, got " + describe(raw));
+    return bom;
+  }
+  BOM_NUMBER_FIELDS.forEach((key) => {
+    if (!(key in raw)) return;
+    if (typeof raw[key] !== "number" || !Number.isFinite(raw[key]) || raw[key] < 0) errors.push("bom." + key + ": expected a non-negative number, got " + describe(raw[key]));
+    bom[key] = raw[key];
+  });
+  if ("prices" in raw) {
+    if (!raw.prices || typeof raw.prices !== "object" || Array.isArray(raw.prices)) {
+      errors.push("bom.prices: expected an object of unit prices, got " + describe(raw.prices));
+    } else {
+      Object.keys(raw.prices).forEach((key) => {
+        const v = raw.prices[key];
+        if (typeof v !== "number" || !Number.isFinite(v) || v < 0) errors.push("bom.prices[" + JSON.stringify(key) + "]: expected a non-negative number, got " + describe(v));
+        else bom.prices[key] = v;
+      });
+    }
+  }
+  return bom;
+}
+
+// Channel span check settings: { channelId, deflectionLimit }
+function parseChannelCheck(raw, errors) {
+  const channel = defaultChannelCheck();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("channel: expected an object, got " + describe(raw));
+    return channel;
+  }
+  if ("channelId" in raw) {
+    checkField("channel.channelId", CHANNEL_CATALOG.map(c => c.id), raw.channelId, errors);
+    channel.channelId = raw.channelId;
+  }
+  if ("deflectionLimit" in raw) {
+    checkField("channel.deflectionLimit", DEFLECTION_LIMITS, raw.deflectionLimit, errors);
+    channel.deflectionLimit = raw.deflectionLimit;
+  }
+  return channel;
+}
+
+export function defaultReport() {
+  return { preparer: "", date: "" };
+}
+
+// Printed-report header; an empty date means "today" when the report is shown
+function parseReport(raw, errors) {
+  const report = defaultReport();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("report: expected an object, got " + describe(raw));
+    return report;
+  }
+  Object.keys(report).forEach((key) => {
+    if (!(key in raw)) return;
+    checkField("report." + key, "string", raw[key], errors);
+    report[key] = raw[key];
+  });
+  if (typeof report.date === "string" && report.date && !/^\d{4}-\d{2}-\d{2}$/.test(report.date)) errors.push("report.date: expected YYYY-MM-DD, got " + describe(report.date));
+  return report;
+}
+
+// v1 files (and hand-written ones) carried a bare clip capacity; map it onto a product
+function productFromClipCap(clipCap) {
+  if (clipCap === DEFAULT_CLIP_CAP) return defaultProduct();
+  return { id: "custom-" + clipCap + "lb", name: "Custom clip (" + clipCap + " lb)", capacityLb: clipCap, derate: 1 };
+}
+
+// Validate a parsed job document (or JSON text) and return { name, units, product, channel, bom, report, zones }.
+// Hand-written files may omit the schema header, and a bare zone object is read as a one-zone job.
+// Older versions are migrated on the way in: clipCap -> product (v1), OSB/drywall fields -> layers (v2),
+// cloud counts -> point-load items (v3).
+// Throws JobError listing every problem found.
+export function parseJob(input) {
+  let doc = input;
+  if (typeof input === "string") {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new JobError(["not valid JSON (" + err.message + ")"]);
+    }
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new JobError(["expected a JSON object, got " + describe(doc)]);
+
+  if ("schema" in doc && doc.schema !== JOB_SCHEMA) throw new JobError(["schema: expected " + JSON.stringify(JOB_SCHEMA) + ", got " + describe(doc.schema)]);
+  if ("version" in doc) {
+    if (!Number.isInteger(doc.version) || doc.version < 1) throw new JobError(["version: expected a positive integer, got " + describe(doc.version)]);
+    if (doc.version > JOB_VERSION) throw new JobError(["version " + doc.version + " is newer than this calculator supports (" + JOB_VERSION + ")"]);
+  }
+
+  const errors = [];
+  const rawZones = "zones" in doc ? doc.zones : [doc];
+  if (!Array.isArray(rawZones) || rawZones.length === 0) throw new JobError(["zones: expected a non-empty array, got " + describe(rawZones)]);
+  const zones = rawZones.map((z, i) => parseZone(z, i, errors));
+
+  const job = { name: "", units: DEFAULT_UNITS, product: defaultProduct(), channel: defaultChannelCheck(), bom: defaultBomSettings(), report: defaultReport(), zones };
+  if ("zones" in doc && "name" in doc) {
+    checkField("name", "string", doc.name, errors);
+    job.name = doc.name;
+  }
+  if ("units" in doc) {
+    checkField("units", UNIT_SYSTEMS, doc.units, errors);
+    job.units = doc.units;
+  }
+  if ("channel" in doc) job.channel = parseChannelCheck(doc.channel, errors);
+  if ("bom" in doc) job.bom = parseBomSettings(doc.bom, errors);
+  if ("report" in doc) job.report = parseReport(doc.report, errors);
+  if ("product" in doc) {
+    job.product = parseProduct(doc.product, "product", errors);
+  } else if ("clipCap" in doc) {
+    checkField("clipCap", "number", doc.clipCap, errors);
+    if (!(doc.clipCap > 0)) errors.push("clipCap: must be greater than 0");
+    else job.product = productFromClipCap(doc.clipCap);
+  }
+  if (errors.length) throw new JobError(errors);
+  return job;
+}
+
+// Build the versioned document for a project. Zone objects may carry UI-only keys (id); they are dropped.
+export function serializeJob(job) {
+  return {
+    schema: JOB_SCHEMA,
+    version: JOB_VERSION,
+    name: job.name || "",
+    units: job.units || DEFAULT_UNITS,
+    product: { id: job.product.id, name: job.product.name, capacityLb: job.product.capacityLb, derate: job.product.derate },
+    channel: job.channel || defaultChannelCheck(),
+    bom: job.bom || defaultBomSettings(),
+    report: job.report || defaultReport(),
+    zones: job.zones.map((z) => {
+      const out = {};
+      Object.keys(ZONE_FIELDS).forEach((key) => { if (key in z) out[key] = z[key]; });
+      return out;
+    })
+  };
+}
+
+export function jobToJson(job) {
+  return JSON.stringify(serializeJob(job), null, 2) + "\n";
+}
+
+// base64url over UTF-8 so names with non-ASCII characters survive
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodeJobHash(job) {
+  return "#" + HASH_PREFIX + toBase64Url(JSON.stringify(serializeJob(job)));
+}
+
+// Returns the job in a location hash, or null when the hash carries none. Throws JobError when it is corrupt.
+export function decodeJobHash(hash) {
+  const h = (hash || "").replace(/^#/, "");
+  if (!h.startsWith(HASH_PREFIX)) return null;
+  let text;
+  try {
+    text = fromBase64Url(h.slice(HASH_PREFIX.length));
+  } catch (err) {
+    throw new JobError(["shared link is corrupt or truncated"]);
+  }
+  return parseJob(text);
+}
+
+// Why the job as it stands would not load back (an input left empty or out of range mid-edit),
+// or [] when it would. Saving such a job would only produce a file the loader rejects.
+export function unsavedReasons(job) {
+  try {
+    parseJob(serializeJob(job));
+    return [];
+  } catch (err) {
+    if (err instanceof JobError) return err.errors;
+    throw err;
+  }
+}
+
+// storage: anything with getItem/setItem (window.localStorage in the browser).
+// A job that would not load back is skipped, so the last loadable autosave survives.
+export function saveAutosave(storage, job) {
+  if (unsavedReasons(job).length) return;
+  try {
+    storage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeJob(job)));
+  } catch (err) {
+    // Quota exceeded or storage disabled (private mode); autosave is best-effort
+  }
+}
+
+export function loadAutosave(storage) {
+  try {
+    const text = storage.getItem(AUTOSAVE_KEY);
+    return text ? parseJob(text) : null;
+  } catch (err) {
+    return null; // a stale or corrupt autosave should never block startup
+  }
+}
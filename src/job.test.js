@@ -0,0 +1,263 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseJob, serializeJob, jobToJson, encodeJobHash, decodeJobHash, saveAutosave, loadAutosave, unsavedReasons,
+  JobError, JOB_SCHEMA, JOB_VERSION, AUTOSAVE_KEY
+} from "./job.js";
+import { DEFAULT_PRODUCT_ID, calcBaseAssemblyPsf, defaultBomSettings, defaultChannelCheck, defaultInputs, defaultOptimizer, defaultProduct, evaluate } from "./engine/index.js";
+
+const project = () => ({
+  name: "Theater - Smith",
+  product: { id: "custom-1", name: "Heavy hanger", capacityLb: 50, derate: 0.8 },
+  zones: [
+    { id: "zone-1", name: "Main room", ...defaultInputs(), pointLoads: [{ name: "4x4 cloud", qty: 2, weightLb: 60, widthFt: 4, lengthFt: 4, clipsPerItem: 4 }] },
+    { id: "zone-2", name: "Soffit", ...defaultInputs(), area: 60, mountMode: "dedicated", allowedClipSpacings: [24], shape: "rect", lengthFt: 12, widthFt: 5, channelDirection: "width" }
+  ]
+});
+
+function errorsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(JobError);
+    return err.errors;
+  }
+  throw new Error("expected JobError");
+}
+
+describe("serializeJob / parseJob", () => {
+  it("round-trips every zone input and drops UI-only keys", () => {
+    const doc = serializeJob(project());
+    expect(doc.schema).toBe(JOB_SCHEMA);
+    expect(doc.version).toBe(JOB_VERSION);
+    expect(doc.zones[0]).not.toHaveProperty("id");
+
+    const back = parseJob(jobToJson(project()));
+    expect(back.name).toBe("Theater - Smith");
+    expect(back.product).toEqual({ id: "custom-1", name: "Heavy hanger", capacityLb: 50, derate: 0.8 });
+    expect(back.zones).toHaveLength(2);
+    expect(back.zones[1]).toMatchObject({ name: "Soffit", area: 60, mountMode: "dedicated", allowedClipSpacings: [24], shape: "rect", lengthFt: 12, widthFt: 5, channelDirection: "width" });
+  });
+
+  it("fills missing fields with defaults and reads a bare zone as a one-zone job", () => {
+    const job = parseJob({ area: 120, name: "Closet" });
+    expect(job.zones).toHaveLength(1);
+    expect(job.zones[0]).toMatchObject({ ...defaultInputs(), area: 120, name: "Closet" });
+  });
+
+  it("migrates a v1 clipCap onto a clip product", () => {
+    expect(parseJob({ schema: JOB_SCHEMA, version: 1, clipCap: 36, zones: [{}] }).product.id).toBe(DEFAULT_PRODUCT_ID);
+    expect(parseJob({ clipCap: 20, zones: [{}] }).product).toMatchObject({ capacityLb: 20, derate: 1 });
+    expect(parseJob({ zones: [{}] }).product).toEqual(defaultProduct());
+  });
+
+  it("migrates v2 OSB/drywall fields onto an equivalent layer stack", () => {
+    const job = parseJob({ schema: JOB_SCHEMA, version: 2, zones: [{ includeOSB: false, drywallLayers: 3, drywallPsf: 2.2, insulPsf: 0.4 }] });
+    const layers = job.zones[0].layers;
+    expect(layers.map(l => l.materialId)).toEqual(["gyp-5-8", "gyp-5-8", "gyp-5-8", "insulation"]);
+    expect(calcBaseAssemblyPsf(layers)).toBeCloseTo(3 * 2.2 + 0.4, 10);
+    expect(job.zones[0]).not.toHaveProperty("drywallLayers");
+    expect(serializeJob({ ...job, name: "" }).zones[0].layers).toHaveLength(4);
+  });
+
+  it("migrates v3 cloud counts onto point-load items", () => {
+    const job = parseJob({ schema: JOB_SCHEMA, version: 3, zones: [{ mountMode: "dedicated", c4x1: 0, c4x3: 2 }] });
+    expect(job.zones[0].pointLoads).toEqual([{ name: "4x3 cloud", qty: 2, weightLb: 45, widthFt: 4, lengthFt: 3, clipsPerItem: 4 }]);
+    expect(job.zones[0]).not.toHaveProperty("c4x3");
+  });
+
+  it("validates point-load items", () => {
+    const errors = errorsOf(() => parseJob({ zones: [{ pointLoads: [{ name: "Sub", qty: 1, weightLb: "heavy", widthFt: 2, lengthFt: 2, clipsPerItem: -4 }] }] }));
+    expect(errors).toEqual([
+      "zones[0].pointLoads[0].weightLb: expected a non-negative number, got \"heavy\"",
+      "zones[0].pointLoads[0].clipsPerItem: expected a non-negative number, got -4"
+    ]);
+  });
+
+  it("validates layers and legacy assembly fields", () => {
+    const errors = errorsOf(() => parseJob({ zones: [{ layers: [{ name: "MLV", psf: -1 }, "OSB"] }, { drywallLayers: "two" }] }));
+    expect(errors).toEqual([
+      "zones[0].layers[0].psf: expected a non-negative number, got -1",
+      "zones[0].layers[1]: expected a layer object, got \"OSB\"",
+      "zones[1].drywallLayers: expected a non-negative number, got \"two\""
+    ]);
+  });
+
+  it("rejects fractional legacy point-load counts and negative drywall layers instead of rounding them", () => {
+    const errors = errorsOf(() => parseJob({ version: 2, zones: [{ drywallLayers: -1, c4x1: 1.5, c4x2: -1 }] }));
+    expect(errors).toEqual([
+      "zones[0].drywallLayers: expected a non-negative number, got -1",
+      "zones[0].c4x1: expected a whole number (0 or more), got 1.5",
+      "zones[0].c4x2: expected a whole number (0 or more), got -1"
+    ]);
+  });
+
+  it("migrates a fractional v2 drywall count onto whole layers plus a partial one of the same weight", () => {
+    const job = parseJob({ schema: JOB_SCHEMA, version: 2, zones: [{ drywallLayers: 2.5 }] });
+    expect(job.zones[0].layers.map(l => [l.name, l.psf])).toEqual([
+      ["23/32 OSB", 2.7], ["5/8 drywall (Type X)", 2.5], ["5/8 drywall (Type X)", 2.5], ["5/8 drywall (Type X) (x0.5)", 1.25], ["Insulation allowance", 0.2]
+    ]);
+    expect(calcBaseAssemblyPsf(job.zones[0].layers)).toBeCloseTo(2.7 + 2.5 * 2.5 + 0.2, 10);
+  });
+
+  it("round-trips bill-of-materials settings and fills missing ones", () => {
+    const job = parseJob(jobToJson({ ...project(), bom: { ...defaultBomSettings(), wastePct: 15, prices: { clips: 2.25 } } }));
+    expect(job.bom).toMatchObject({ wastePct: 15, stickLengthFt: 12, prices: { clips: 2.25 } });
+    expect(parseJob({ zones: [{}] }).bom).toEqual(defaultBomSettings());
+    expect(parseJob({ bom: { wastePct: 5 }, zones: [{}] }).bom.sheetLengthFt).toBe(8);
+  });
+
+  it("validates bill-of-materials settings", () => {
+    const errors = errorsOf(() => parseJob({ bom: { wastePct: -5, prices: { clips: "cheap" } }, zones: [{}] }));
+    expect(errors).toEqual([
+      "bom.wastePct: expected a non-negative number, got -5",
+      "bom.prices[\"clips\"]: expected a non-negative number, got \"cheap\""
+    ]);
+  });
+
+  it("round-trips optimizer settings, fills partial ones and validates them", () => {
+    const job = parseJob(jobToJson({ ...project(), zones: [{ ...project().zones[0], spacingMode: "optimize", structureSpacing: 19.2, optimizer: { minChannelIn: 12, maxChannelIn: 16, channelStepIn: 0.5, maxClipIn: 48, objective: "cost" } }] }));
+    expect(job.zones[0]).toMatchObject({ spacingMode: "optimize", structureSpacing: 19.2, optimizer: { maxChannelIn: 16, channelStepIn: 0.5, objective: "cost" } });
+    expect(parseJob({ zones: [{ optimizer: { maxChannelIn: 20 } }] }).zones[0].optimizer).toEqual({ ...defaultOptimizer(), maxChannelIn: 20 });
+    expect(errorsOf(() => parseJob({ zones: [{ spacingMode: "auto", optimizer: { minChannelIn: 30, maxChannelIn: 24, channelStepIn: 0, objective: "speed" } }] }))).toEqual([
+      "zones[0].spacingMode: expected one of menu, optimize, got \"auto\"",
+      "zones[0].optimizer.channelStepIn: expected a positive number, got 0",
+      "zones[0].optimizer.objective: expected one of clips, cost, safety, got \"speed\"",
+      "zones[0].optimizer: minChannelIn (30) is greater than maxChannelIn (24)"
+    ]);
+  });
+
+  it("round-trips load regions and validates them", () => {
+    const region = { name: "Projector", lengthFt: 4, widthFt: 4, extraPsf: 0, pointLoadLb: 80 };
+    expect(parseJob(jobToJson({ ...project(), zones: [{ ...project().zones[0], regions: [region] }] })).zones[0].regions).toEqual([region]);
+    expect(parseJob({ zones: [{}] }).zones[0].regions).toEqual([]);
+    expect(errorsOf(() => parseJob({ zones: [{ regions: [{ ...region, widthFt: 0, pointLoadLb: -5 }, "stage"] }] }))).toEqual([
+      "zones[0].regions[0].widthFt: expected a positive number, got 0",
+      "zones[0].regions[0].pointLoadLb: expected a non-negative number, got -5",
+      "zones[0].regions[1]: expected a region object, got \"stage\""
+    ]);
+  });
+
+  it("round-trips zone scenarios and validates their inputs", () => {
+    const inputs = { ...defaultInputs(), mountMode: "dedicated" };
+    const job = parseJob(jobToJson({ ...project(), zones: [{ ...project().zones[0], scenarios: [{ name: "Dedicated clouds", inputs }] }] }));
+    expect(job.zones[0].scenarios).toEqual([{ name: "Dedicated clouds", inputs }]);
+    expect(parseJob({ zones: [{}] }).zones[0].scenarios).toEqual([]);
+    expect(parseJob({ zones: [{ scenarios: [{ name: "Bare", inputs: { miscPsf: 1 } }] }] }).zones[0].scenarios[0].inputs).toEqual({ ...defaultInputs(), miscPsf: 1 });
+    expect(errorsOf(() => parseJob({ zones: [{ scenarios: [{ name: "Bad", inputs: { mountMode: "glued" } }, { name: 3 }] }] }))).toEqual([
+      "zones[0].scenarios[1].name: expected a string, got 3",
+      "zones[0].scenarios[1].inputs: expected an object, got undefined",
+      "zones[0].scenarios[0].inputs.mountMode: expected one of distributed, dedicated, got \"glued\""
+    ]);
+  });
+
+  it("round-trips the channel span check settings and validates them", () => {
+    expect(parseJob(jobToJson({ ...project(), channel: { channelId: "dwfc-20", deflectionLimit: 240 } })).channel).toEqual({ channelId: "dwfc-20", deflectionLimit: 240 });
+    expect(parseJob({ zones: [{}] }).channel).toEqual(defaultChannelCheck());
+    expect(errorsOf(() => parseJob({ channel: { channelId: "mystery", deflectionLimit: 180 }, zones: [{}] }))).toEqual([
+      "channel.channelId: expected one of dwfc-25, dwfc-20, hat-150-20, got \"mystery\"",
+      "channel.deflectionLimit: expected one of 360, 240, got 180"
+    ]);
+  });
+
+  it("round-trips the display units and validates them", () => {
+    expect(parseJob(jobToJson({ ...project(), units: "metric" })).units).toBe("metric");
+    expect(parseJob({ zones: [{}] }).units).toBe("imperial");
+    expect(errorsOf(() => parseJob({ units: "SI", zones: [{}] }))).toEqual(["units: expected one of imperial, metric, got \"SI\""]);
+  });
+
+  it("round-trips the report header and validates it", () => {
+    expect(parseJob(jobToJson({ ...project(), report: { preparer: "J. Doe, Acme AV", date: "2026-03-14" } })).report).toEqual({ preparer: "J. Doe, Acme AV", date: "2026-03-14" });
+    expect(parseJob({ zones: [{}] }).report).toEqual({ preparer: "", date: "" });
+    expect(errorsOf(() => parseJob({ report: { preparer: 7, date: "3/14/2026" }, zones: [{}] }))).toEqual([
+      "report.preparer: expected a string, got 7",
+      "report.date: expected YYYY-MM-DD, got \"3/14/2026\""
+    ]);
+  });
+
+  it("validates the product", () => {
+    const errors = errorsOf(() => parseJob({ product: { id: "x", name: " ", capacityLb: 0, derate: 1.5 }, zones: [{}] }));
+    expect(errors).toEqual([
+      "product.name: expected a non-empty string, got \" \"",
+      "product.capacityLb: expected a number greater than 0, got 0",
+      "product.derate: expected a factor between 0 (exclusive) and 1, got 1.5"
+    ]);
+  });
+
+  it("reports every bad field with its path", () => {
+    const errors = errorsOf(() => parseJob({ zones: [{ area: "lots", mountMode: "glued" }, { allowedClipSpacings: [24, -1] }] }));
+    expect(errors).toEqual([
+      "zones[0].area: expected a number, got \"lots\"",
+      "zones[0].mountMode: expected one of distributed, dedicated, got \"glued\"",
+      "zones[1].allowedClipSpacings[1]: expected a positive number, got -1"
+    ]);
+  });
+
+  it("rejects malformed JSON, foreign schemas and newer versions", () => {
+    expect(errorsOf(() => parseJob("{ nope"))[0]).toMatch(/^not valid JSON/);
+    expect(errorsOf(() => parseJob({ schema: "something-else", zones: [{}] }))[0]).toMatch(/^schema: /);
+    expect(errorsOf(() => parseJob({ schema: JOB_SCHEMA, version: JOB_VERSION + 1, zones: [{}] }))[0]).toMatch(/newer than this calculator/);
+    expect(errorsOf(() => parseJob({ zones: [] }))[0]).toMatch(/^zones: expected a non-empty array/);
+    expect(errorsOf(() => parseJob([]))[0]).toMatch(/^expected a JSON object/);
+  });
+});
+
+describe("URL hash", () => {
+  it("encodes a job into the hash and back, including non-ASCII names", () => {
+    const p = project();
+    p.name = "Salle de cinéma";
+    const hash = encodeJobHash(p);
+    expect(hash).toMatch(/^#job=[A-Za-z0-9_-]+$/);
+    expect(decodeJobHash(hash).name).toBe("Salle de cinéma");
+  });
+
+  it("ignores unrelated hashes and rejects corrupt ones", () => {
+    expect(decodeJobHash("")).toBeNull();
+    expect(decodeJobHash("#section-2")).toBeNull();
+    expect(() => decodeJobHash("#job=%%%")).toThrow(JobError);
+  });
+});
+
+describe("autosave", () => {
+  const memoryStorage = () => {
+    const data = {};
+    return { data, getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = v; } };
+  };
+
+  it("saves and restores a job", () => {
+    const storage = memoryStorage();
+    saveAutosave(storage, project());
+    expect(storage.data[AUTOSAVE_KEY]).toBeTruthy();
+    expect(loadAutosave(storage).zones[0].pointLoads[0].qty).toBe(2);
+  });
+
+  it("returns null for missing or corrupt autosaves and swallows storage errors", () => {
+    const storage = memoryStorage();
+    expect(loadAutosave(storage)).toBeNull();
+    storage.data[AUTOSAVE_KEY] = "{ broken";
+    expect(loadAutosave(storage)).toBeNull();
+    expect(() => saveAutosave({ setItem: () => { throw new Error("QuotaExceededError"); } }, project())).not.toThrow();
+  });
+
+  it("keeps the last loadable autosave while an input is empty or out of range", () => {
+    const storage = memoryStorage();
+    saveAutosave(storage, project());
+    const editing = project();
+    editing.zones[0].pointLoads[0].weightLb = NaN;
+    editing.zones[0].pointLoads[0].qty = 3;
+    expect(unsavedReasons(editing)).toEqual(["zones[0].pointLoads[0].weightLb: expected a non-negative number, got NaN"]);
+    saveAutosave(storage, editing);
+    expect(loadAutosave(storage).zones[0].pointLoads[0].qty).toBe(2);
+    expect(unsavedReasons(project())).toEqual([]);
+  });
+
+  it("reports an emptied field the zone's mode does not use in the zone view too, not only when saving", () => {
+    const editing = parseJob(jobToJson(project()));
+    editing.zones[0].structureSpacing = NaN;
+    expect(editing.zones[0].spacingMode).toBe("menu");
+    expect(unsavedReasons(editing)).toEqual(["zones[0].structureSpacing: expected a number, got NaN"]);
+    const r = evaluate(editing.zones[0]);
+    expect(r.inputsOk).toBe(false);
+    expect(r.rec).toBeNull();
+    expect(r.issues.map(i => i.path)).toEqual(["structureSpacing"]);
+  });
+});
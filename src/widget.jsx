@@ -0,0 +1,52 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import App from "./App.jsx";
+import { parseEmbedOptions } from "./embed.js";
+import css from "./index.css?inline";
+
+// Embeddable build entry (npm run build:widget -> dist/widget/genieclip-widget.js). A host page
+// (Canvas, Kajabi, ...) loads the one script and mounts the calculator into any element:
+//
+//   <div id="calc"></div>
+//   <script src="genieclip-widget.js"></script>
+//   <script>
+//     GenieClipCalculator.mount(document.getElementById("calc"), {
+//       inputs: { area: 600, miscPsf: 1 },
+//       panels: { tests: false, scenarios: false },
+//       product: "genieclip-rst",
+//       theme: { accent: "#0f766e" },
+//       onResult: (result) => cart.setQuantity("genieclip-rst", result.totals.clips)
+//     });
+//   </script>
+//
+// Options are checked by parseEmbedOptions (embed.js); a bad one throws EmbedError from mount().
+// The calculator renders in a shadow root so its styles and the page's stay apart. onChange gets the
+// job document after every edit and onResult the CLI's JSON report plus the bill of materials; both
+// also fire once after mounting. mount() returns { getJob, getResult, unmount }.
+export function mount(el, options) {
+  if (!el || typeof el.attachShadow !== "function") throw new Error("GenieClipCalculator.mount: expected a DOM element");
+  const embed = parseEmbedOptions(options);
+  const latest = { job: null, result: null };
+  const shadow = el.shadowRoot || el.attachShadow({ mode: "open" });
+  const style = document.createElement("style");
+  style.textContent = css;
+  const container = document.createElement("div");
+  shadow.replaceChildren(style, container);
+
+  const root = createRoot(container);
+  root.render(
+    <App embed={{
+      ...embed,
+      onChange: (job) => { latest.job = job; if (embed.onChange) embed.onChange(job); },
+      onResult: (result) => { latest.result = result; if (embed.onResult) embed.onResult(result); }
+    }} />
+  );
+  return {
+    getJob: () => latest.job,
+    getResult: () => latest.result,
+    unmount: () => {
+      root.unmount();
+      shadow.replaceChildren();
+    }
+  };
+}
@@ -0,0 +1,16 @@
+import { defineConfig } from "vite";
+
+// Embeddable widget (src/widget.jsx): one self-contained script, React and styles included,
+// that defines window.GenieClipCalculator. The regular app build is unaffected.
+export default defineConfig({
+  define: { "process.env.NODE_ENV": JSON.stringify("production") },
+  build: {
+    outDir: "dist/widget",
+    lib: {
+      entry: "src/widget.jsx",
+      name: "GenieClipCalculator",
+      formats: ["iife"],
+      fileName: () => "genieclip-widget.js"
+    }
+  }
+});